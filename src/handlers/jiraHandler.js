@@ -1,11 +1,30 @@
 const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
 const { JiraService } = require('../services/index.js');
-const { Logger, JiraFormatter, ErrorHandler, schemas } = require('../utils/index.js');
+const {
+  Logger,
+  JiraFormatter,
+  SentryFormatter,
+  ErrorHandler,
+  schemas,
+} = require('../utils/index.js');
 const { TOOL_NAMES } = require('../tools/constants.js');
-const { JiraTicketDetailsSchema, validateSchema } = schemas;
+const {
+  JiraTicketDetailsSchema,
+  JiraCreateIssueFromSentrySchema,
+  JiraCreateIssueSchema,
+  JiraLinkSentryIssueSchema,
+  JiraSearchIssuesSchema,
+  JiraAddCommentSchema,
+  JiraTransitionsSchema,
+  JiraTransitionIssueSchema,
+  validateSchema,
+} = schemas;
 
 const logger = new Logger(process.env.LOG_LEVEL || 'INFO');
 
+// Columns shown by search_jira_issues when no fields are requested
+const DEFAULT_SEARCH_FIELDS = ['summary', 'status', 'priority', 'assignee', 'issuetype', 'updated'];
+
 class JiraHandler {
   constructor(domain, token, email) {
     this.domain = domain;
@@ -63,7 +82,7 @@ class JiraHandler {
         args,
         TOOL_NAMES.GET_JIRA_ISSUE_DETAILS,
       );
-      const { ticketKey, deepDetails } = validatedArgs;
+      const { ticketKey, deepDetails, maxDescriptionLength, maxCommentLength } = validatedArgs;
 
       if (!ticketKey) {
         return 'Error: JIRA ticket key is required (e.g., "MAN-1234", "BUG-4774")';
@@ -75,7 +94,10 @@ class JiraHandler {
       logger.info(`Fetching JIRA ticket details for: ${ticketKey}`);
       console.info('JIRA Handler: About to call service method...');
 
-      const result = await jiraService.getJiraTicketDetails(ticketKey, deepDetails);
+      const result = await jiraService.getJiraTicketDetails(ticketKey, deepDetails, {
+        maxDescriptionLength,
+        maxCommentLength,
+      });
       logger.info(`Successfully fetched JIRA ticket details for: ${ticketKey}`);
 
       // Debug logging to understand the data structure
@@ -135,7 +157,7 @@ class JiraHandler {
 
   async editJiraTicket(args) {
     try {
-      const { ticketKey, fields } = args;
+      const { ticketKey, fields, dryRun = false } = args;
 
       if (!ticketKey) {
         return 'Error: JIRA ticket key is required (e.g., "MAN-1234", "BUG-4774")';
@@ -146,6 +168,13 @@ class JiraHandler {
       }
 
       const jiraService = this.createJiraService();
+
+      if (dryRun) {
+        logger.info(`Previewing JIRA ticket update: ${ticketKey}`);
+        const preview = await jiraService.editJiraTicket(ticketKey, fields, { dryRun: true });
+        return this.formatDryRunResponse(preview);
+      }
+
       logger.info(`Updating JIRA ticket: ${ticketKey}`);
 
       const result = await jiraService.editJiraTicket(ticketKey, fields);
@@ -157,6 +186,383 @@ class JiraHandler {
     }
   }
 
+  // Collect what the ticket description needs from a Sentry issue, its tags and latest event
+  buildSentryIssueContext(issueDetails, tags, latestEvent, validatedArgs) {
+    const formatted = SentryFormatter.formatIssueDetails(issueDetails, tags, latestEvent, true);
+    const tagsSummary = formatted.tagsSummary || {};
+
+    const stacktraceEntry = latestEvent?.entries?.find(
+      e => e.type === 'exception' || e.type === 'stacktrace',
+    );
+    const frames = stacktraceEntry?.data?.values?.[0]?.stacktrace?.frames;
+    const stacktrace = frames
+      ? SentryFormatter.formatStackFrames(frames, validatedArgs.maxFrames, {
+          inAppOnly: validatedArgs.inAppOnly,
+        })
+      : '';
+
+    return {
+      ...formatted,
+      environments: tagsSummary.environment || [],
+      releases: tagsSummary.release || [],
+      stacktrace,
+      frameCount: stacktrace ? stacktrace.split('\n').length : 0,
+    };
+  }
+
+  // Active Jira integration installed in Sentry: the requested one, else the one for this
+  // JIRA site, else the first
+  async findJiraIntegration(sentryService, organization, integrationId) {
+    const integrations = (await sentryService.getIntegrations(organization)).filter(
+      integration =>
+        ['jira', 'jira_server'].includes(integration.provider?.key) &&
+        (!integration.status || integration.status === 'active'),
+    );
+
+    if (integrationId) {
+      return integrations.find(integration => String(integration.id) === integrationId) || null;
+    }
+
+    const domain = this.getAtlassianDomain();
+    return (
+      integrations.find(integration => domain && integration.domainName?.includes(domain)) ||
+      integrations[0] ||
+      null
+    );
+  }
+
+  async createJiraIssueFromSentry(args, sentryHandler) {
+    try {
+      const validatedArgs = validateSchema(
+        JiraCreateIssueFromSentrySchema,
+        args,
+        TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY,
+      );
+      const { projectKey, issueType, environment } = validatedArgs;
+
+      // Check JIRA credentials before doing any Sentry work
+      const jiraService = this.createJiraService();
+      const sentryService = sentryHandler.createSentryService(validatedArgs);
+      const { organization, issueId } = await sentryHandler.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        sentryHandler.getOrganization(validatedArgs),
+      );
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for creating a JIRA issue from a Sentry issue. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      logger.info(`🔎 Fetching Sentry issue ${issueId} for JIRA ticket`);
+      const issueDetails = await sentryService.getIssueDetails(organization, issueId);
+
+      let tags = null;
+      try {
+        tags = await sentryService.getIssueTags(organization, issueId, environment);
+      } catch (e) {
+        logger.warn(`Could not fetch tags: ${e.message}`);
+      }
+
+      let latestEvent = null;
+      try {
+        latestEvent = await sentryService.getLatestEventForIssue(organization, issueId);
+      } catch (e) {
+        logger.warn(`Could not fetch latest event: ${e.message}`);
+      }
+
+      const issue = this.buildSentryIssueContext(issueDetails, tags, latestEvent, validatedArgs);
+      const summary = validatedArgs.summary || JiraFormatter.sentryIssueSummary(issue);
+
+      logger.info(`🎟️ Creating JIRA issue in ${projectKey} from Sentry issue ${issueId}`);
+      const created = await jiraService.createJiraIssue(projectKey, issueType, {
+        summary,
+        description: JiraFormatter.sentryIssueToADF(issue),
+      });
+      logger.info(`✅ Created JIRA issue ${created.key}`);
+
+      const lines = [
+        `Created JIRA issue ${created.key} from Sentry issue ${issue.shortId || issueId}.`,
+        `URL: ${created.url}`,
+        '',
+        `Summary: ${summary}`,
+        `Project: ${projectKey}`,
+        `Issue Type: ${created.issueType}`,
+      ];
+      if (issue.permalink) lines.push(`Sentry Issue: ${issue.permalink}`);
+      lines.push(
+        '',
+        `Tip: Use add_sentry_issue_note with jiraIssueKey "${created.key}" to link the ticket back from Sentry.`,
+      );
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY);
+    }
+  }
+
+  async createJiraIssue(args) {
+    try {
+      const validatedArgs = validateSchema(
+        JiraCreateIssueSchema,
+        args,
+        TOOL_NAMES.CREATE_JIRA_ISSUE,
+      );
+      const { projectKey, issueType } = validatedArgs;
+
+      // Dedicated parameters win over the same field passed in `fields`
+      const fields = { ...validatedArgs.fields, summary: validatedArgs.summary };
+      ['description', 'assignee', 'labels', 'components', 'priority', 'parent'].forEach(key => {
+        if (validatedArgs[key] !== undefined) fields[key] = validatedArgs[key];
+      });
+
+      const jiraService = this.createJiraService();
+      logger.info(`🎟️ Creating JIRA ${issueType} in ${projectKey}`);
+      const created = await jiraService.createJiraIssue(projectKey, issueType, fields);
+      logger.info(`✅ Created JIRA issue ${created.key}`);
+
+      const lines = [
+        `Created JIRA ${created.issueType} ${created.key} in ${projectKey}.`,
+        `URL: ${created.url}`,
+        '',
+        'Fields Set:',
+        ...created.fields.map(field =>
+          field.name && field.name !== field.id ? `- ${field.name} (${field.id})` : `- ${field.id}`,
+        ),
+      ];
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.CREATE_JIRA_ISSUE);
+    }
+  }
+
+  async linkSentryIssueToJira(args, sentryHandler) {
+    try {
+      const validatedArgs = validateSchema(
+        JiraLinkSentryIssueSchema,
+        args,
+        TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA,
+      );
+      const { ticketKey, mechanism, integrationId } = validatedArgs;
+
+      const sentryService = sentryHandler.createSentryService(validatedArgs);
+      const { organization, issueId } = await sentryHandler.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        sentryHandler.getOrganization(validatedArgs),
+      );
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for linking a Sentry issue to a JIRA ticket. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      // Prefer Sentry's own Jira integration: the link then shows up in the issue's annotations
+      let fallbackReason = null;
+      if (mechanism !== 'remote_link') {
+        try {
+          const integration = await this.findJiraIntegration(
+            sentryService,
+            organization,
+            integrationId,
+          );
+
+          if (integration) {
+            logger.info(`🔗 Linking ${ticketKey} to Sentry issue ${issueId} via integration`);
+            const linked = await sentryService.linkExternalIssue(
+              organization,
+              issueId,
+              integration.id,
+              ticketKey,
+            );
+            logger.info(`✅ Linked ${ticketKey} to Sentry issue ${issueId}`);
+
+            const lines = [
+              `Linked Sentry issue ${issueId} to JIRA ticket ${ticketKey}.`,
+              `Mechanism: Sentry Jira integration (${integration.name || integration.domainName}, ID ${integration.id})`,
+            ];
+            if (linked?.url) lines.push(`JIRA Ticket: ${linked.url}`);
+            if (linked?.title) lines.push(`Title: ${linked.title}`);
+            return lines.join('\n');
+          }
+
+          fallbackReason = integrationId
+            ? `Jira integration ${integrationId} is not installed or not active in Sentry`
+            : 'no active Jira integration is installed in Sentry';
+        } catch (error) {
+          logger.warn(`Sentry Jira integration link failed: ${error.message}`);
+          fallbackReason = `linking through the Sentry Jira integration failed: ${error.message}`;
+        }
+
+        if (mechanism === 'integration') {
+          return `Could not link Sentry issue ${issueId} to ${ticketKey}: ${fallbackReason}.\n\nUse mechanism "auto" or "remote_link" to link with a JIRA remote link and a Sentry note instead.`;
+        }
+      }
+
+      // Fallback: JIRA remote link to the Sentry issue plus a Sentry note pointing at the ticket
+      const jiraService = this.createJiraService();
+      const issueDetails = await sentryService.getIssueDetails(organization, issueId);
+      const permalink =
+        issueDetails.permalink ||
+        `https://${sentryService.sentryDomain}/organizations/${organization}/issues/${issueId}/`;
+      const sentryLabel = issueDetails.shortId || issueId;
+      const ticketUrl = `https://${jiraService.atlassianDomain}/browse/${ticketKey}`;
+
+      logger.info(`🔗 Adding remote link to Sentry issue ${issueId} on ${ticketKey}`);
+      const remoteLink = await jiraService.addRemoteLink(
+        ticketKey,
+        permalink,
+        `Sentry ${sentryLabel}: ${issueDetails.title || 'issue'}`,
+      );
+
+      // The remote link is already in place, so a failed note is reported rather than thrown
+      let noteStatus;
+      try {
+        const note = await sentryService.addIssueNote(
+          organization,
+          issueId,
+          `Jira: [${ticketKey}](${ticketUrl})`,
+        );
+        noteStatus = `added${note?.id ? ` (ID ${note.id})` : ''}`;
+      } catch (error) {
+        logger.warn(`Could not add Sentry note: ${error.message}`);
+        noteStatus = `failed (${error.message})`;
+      }
+      logger.info(`✅ Linked ${ticketKey} to Sentry issue ${issueId} with a remote link`);
+
+      const lines = [
+        `Linked Sentry issue ${sentryLabel} to JIRA ticket ${ticketKey}.`,
+        `Mechanism: JIRA remote link + Sentry note${fallbackReason ? ` (${fallbackReason})` : ''}`,
+        `JIRA Remote Link: created${remoteLink?.id ? ` (ID ${remoteLink.id})` : ''} -> ${permalink}`,
+        `Sentry Note: ${noteStatus}`,
+        `JIRA Ticket: ${ticketUrl}`,
+      ];
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA);
+    }
+  }
+
+  async searchJiraIssues(args) {
+    try {
+      const validatedArgs = validateSchema(
+        JiraSearchIssuesSchema,
+        args,
+        TOOL_NAMES.SEARCH_JIRA_ISSUES,
+      );
+      const { orderBy, maxResults, nextPageToken } = validatedArgs;
+      const jql = orderBy ? `${validatedArgs.jql} ORDER BY ${orderBy}` : validatedArgs.jql;
+
+      const jiraService = this.createJiraService();
+      const columns = await jiraService.resolveFieldIds(
+        validatedArgs.fields || DEFAULT_SEARCH_FIELDS,
+      );
+
+      logger.info(`🔎 Searching JIRA issues: ${jql}`);
+      const page = await jiraService.searchIssues({
+        jql,
+        fields: columns.map(column => column.id),
+        maxResults,
+        nextPageToken,
+      });
+      logger.info(`📊 Found ${page.issues.length} JIRA issues`);
+
+      const lines = [`Showing ${page.issues.length} issues`];
+
+      lines.push(`\nQuery Information:`);
+      lines.push(`JQL: ${jql}`);
+      lines.push(`Fields: ${columns.map(column => column.name).join(', ')}`);
+
+      lines.push(`\nPagination:`);
+      lines.push(
+        `Next Page Token: ${page.isLast || !page.nextPageToken ? 'None (last page)' : page.nextPageToken}`,
+      );
+
+      return `${lines.join('\n')}\n\n${JiraFormatter.searchResultsToMarkdown(page.issues, columns)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.SEARCH_JIRA_ISSUES);
+    }
+  }
+
+  async addJiraComment(args) {
+    try {
+      const validatedArgs = validateSchema(JiraAddCommentSchema, args, TOOL_NAMES.ADD_JIRA_COMMENT);
+      const { ticketKey, body, restrictToRole, restrictToGroup } = validatedArgs;
+
+      let visibility = null;
+      if (restrictToRole) visibility = { type: 'role', value: restrictToRole };
+      if (restrictToGroup) visibility = { type: 'group', value: restrictToGroup };
+
+      const jiraService = this.createJiraService();
+      logger.info(`💬 Adding comment to JIRA ticket: ${ticketKey}`);
+      const comment = await jiraService.addComment(ticketKey, body, visibility);
+      logger.info(`✅ Added comment ${comment.id} to ${ticketKey}`);
+
+      const lines = [`Added comment to ${ticketKey}.`, `Comment ID: ${comment.id}`];
+      if (comment.created) lines.push(`Created: ${comment.created}`);
+      lines.push(`URL: ${comment.url}`);
+      lines.push(
+        `Visibility: ${visibility ? `${visibility.type} "${visibility.value}"` : 'Everyone who can see the ticket'}`,
+      );
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.ADD_JIRA_COMMENT);
+    }
+  }
+
+  async getJiraTransitions(args) {
+    try {
+      const { ticketKey } = validateSchema(
+        JiraTransitionsSchema,
+        args,
+        TOOL_NAMES.GET_JIRA_TRANSITIONS,
+      );
+
+      const jiraService = this.createJiraService();
+      logger.info(`🔀 Fetching transitions for JIRA ticket: ${ticketKey}`);
+      const transitions = await jiraService.getTransitions(ticketKey);
+      logger.info(`📊 Found ${transitions.length} transitions for ${ticketKey}`);
+
+      return JiraFormatter.transitionsToMarkdown(ticketKey, transitions);
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_JIRA_TRANSITIONS);
+    }
+  }
+
+  async transitionJiraIssue(args) {
+    try {
+      const validatedArgs = validateSchema(
+        JiraTransitionIssueSchema,
+        args,
+        TOOL_NAMES.TRANSITION_JIRA_ISSUE,
+      );
+      const { ticketKey, transition, resolution, comment } = validatedArgs;
+      const fields = { ...validatedArgs.fields };
+      if (resolution) fields.resolution = resolution;
+
+      const jiraService = this.createJiraService();
+      logger.info(`🔀 Transitioning JIRA ticket ${ticketKey}: ${transition}`);
+      const result = await jiraService.transitionIssue(ticketKey, transition, { fields, comment });
+      logger.info(`✅ Transitioned ${ticketKey} with "${result.transition.name}"`);
+
+      const lines = [
+        `Transitioned ${ticketKey} with "${result.transition.name}" (ID ${result.transition.id}).`,
+      ];
+      if (result.toStatus) lines.push(`New Status: ${result.toStatus}`);
+      if (result.fields.length > 0) {
+        lines.push(`Fields Set: ${result.fields.map(field => field.name || field.id).join(', ')}`);
+      }
+      if (result.commented) lines.push('Comment: added');
+      lines.push(`URL: https://${jiraService.atlassianDomain}/browse/${ticketKey}`);
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.TRANSITION_JIRA_ISSUE);
+    }
+  }
+
   formatFieldsResponse(result, specificFields = null) {
     const { ticketKey, ticketSummary, essentialFields, customFields, fieldCount } = result;
 
@@ -219,12 +625,45 @@ class JiraHandler {
     }
 
     if (skippedFields.length > 0) {
-      response += `**Skipped Fields:** ${skippedFields.join(', ')}\n`;
+      response += `**Skipped Fields:**\n`;
+      skippedFields.forEach(({ field, reason }) => {
+        response += `- ${field}: ${reason}\n`;
+      });
       response += `**Tip:** Use GET_JIRA_FIELDS to see available fields for this ticket.\n`;
     }
 
     return response;
   }
+
+  formatDryRunResponse(preview) {
+    const { ticketKey, changes, skippedFields } = preview;
+
+    let response = `## JIRA Update Preview for ${ticketKey}\n`;
+    response += `**Dry run:** nothing was changed.\n\n`;
+
+    if (changes.length > 0) {
+      response += `| Field | Current | Proposed |\n|---|---|---|\n`;
+      changes.forEach(({ key, name, current, proposed }) => {
+        const unchanged = current === proposed ? ' (no change)' : '';
+        response += `| ${name} (${key}) | ${JiraFormatter.formatSearchCell(current, 120)} | ${JiraFormatter.formatSearchCell(proposed, 120)}${unchanged} |\n`;
+      });
+    } else {
+      response += `No field would be updated.\n`;
+    }
+
+    if (skippedFields.length > 0) {
+      response += `\n**Would Skip:**\n`;
+      skippedFields.forEach(({ field, reason }) => {
+        response += `- ${field}: ${reason}\n`;
+      });
+    }
+
+    if (changes.length > 0) {
+      response += `\nRun EDIT_JIRA_ISSUE again without dryRun to apply these changes.\n`;
+    }
+
+    return response;
+  }
 }
 
 module.exports = JiraHandler;
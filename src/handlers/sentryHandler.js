@@ -1,11 +1,33 @@
 const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
 const { SentryService } = require('../services/index.js');
-const { Logger, SentryFormatter, ErrorHandler, schemas } = require('../utils/index.js');
+const {
+  Logger,
+  SentryFormatter,
+  ErrorHandler,
+  APIError,
+  NotFoundError,
+  schemas,
+} = require('../utils/index.js');
 const { TOOL_NAMES } = require('../tools/constants.js');
 
 const {
   SentryIssueDetailsSchema,
   SentryIssuesSchema,
+  SentryIssueEventsSchema,
+  SentryEventDetailsSchema,
+  SentryIssueStatsSchema,
+  SentryUpdateIssueSchema,
+  SentryBulkUpdateIssuesSchema,
+  SentryReleasesSchema,
+  SentryReleaseDetailsSchema,
+  SentryQueryEventsSchema,
+  SentryTransactionsSchema,
+  SentryTraceSchema,
+  SentryIssueReplaysSchema,
+  SentryReplayTimelineSchema,
+  SentryTagDistributionSchema,
+  SentryIssueActivitySchema,
+  SentryAddIssueNoteSchema,
   SentryOrganizationsSchema,
   SentryProjectsSchema,
   validateSchema,
@@ -75,6 +97,379 @@ class SentryHandler {
     return new SentryService(token, host);
   }
 
+  // Build SentryService.getSentryIssuesList options from validated tool arguments
+  buildIssueListOptions(validatedArgs) {
+    const issueOptions = {
+      project: validatedArgs.project,
+      dateFrom: validatedArgs.dateFrom,
+      dateTo: validatedArgs.dateTo,
+      sortBy: validatedArgs.sortBy,
+      excludeErrorType: validatedArgs.excludeErrorType,
+      errorMessage: validatedArgs.errorMessage,
+      environment: validatedArgs.environment,
+      limit: validatedArgs.limit,
+      statsPeriod: validatedArgs.statsPeriod,
+      groupStatsPeriod: validatedArgs.groupStatsPeriod,
+      query: validatedArgs.query,
+      collapse: validatedArgs.collapse,
+      cursor: validatedArgs.cursor,
+      autoPaginate: validatedArgs.autoPaginate,
+    };
+
+    // Handle relativeDays parameter to auto-calculate dates
+    // If relativeDays is provided and statsPeriod is not, calculate the actual dates
+    if (validatedArgs.relativeDays && !validatedArgs.statsPeriod) {
+      const { dateFrom, dateTo } = this.calculateRelativeDates(validatedArgs.relativeDays);
+      issueOptions.dateFrom = dateFrom;
+      issueOptions.dateTo = dateTo;
+      issueOptions.relativeDaysUsed = validatedArgs.relativeDays;
+      logger.info(
+        `📅 Using relative date range: last ${validatedArgs.relativeDays} days (${dateFrom} to ${dateTo})`,
+      );
+    }
+
+    return issueOptions;
+  }
+
+  // Describe the search an issue list request actually runs, including the default query
+  // and date window the service adds when they are not given
+  describeIssueSearch(sentryService, issueOptions) {
+    const params = sentryService.buildIssuesQueryParams(issueOptions);
+    const queryNote = issueOptions.query === undefined ? ' (default)' : '';
+    const lines = [`Query: ${params.get('query') || '(none)'}${queryNote}`];
+
+    if (params.get('statsPeriod')) {
+      lines.push(`Period: last ${params.get('statsPeriod')}`);
+    } else {
+      const dateNote =
+        issueOptions.dateFrom && issueOptions.dateTo
+          ? ''
+          : ' (missing bounds default to the previous Monday-Sunday week)';
+      lines.push(`Date Range: ${params.get('start')} to ${params.get('end')}${dateNote}`);
+    }
+
+    ['project', 'environment'].forEach(key => {
+      const values = params.getAll(key);
+      if (values.length > 0)
+        lines.push(`${key[0].toUpperCase()}${key.slice(1)}: ${values.join(', ')}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  // Split an issue permalink into organization, issue and optional event ID. Handles
+  // https://<org>.sentry.io/issues/<id>/ and .../organizations/<org>/issues/<id>/ forms.
+  parseIssueUrl(reference) {
+    let url;
+    try {
+      url = new URL(reference);
+    } catch {
+      return null;
+    }
+
+    const match = url.pathname.match(
+      /^(?:\/organizations\/([^/]+))?\/issues\/([^/]+)(?:\/events\/([^/]+))?\/?/,
+    );
+    if (!match) return null;
+
+    const [, pathOrganization, issueRef, eventId] = match;
+    const hostParts = url.hostname.split('.');
+    const subdomainOrganization =
+      url.hostname.endsWith('.sentry.io') && hostParts.length > 2 ? hostParts[0] : null;
+
+    return {
+      organization: pathOrganization || subdomainOrganization,
+      issueRef: decodeURIComponent(issueRef),
+      eventId: eventId || null,
+    };
+  }
+
+  // Resolve a numeric ID, short ID or permalink URL to { organization, issueId, eventId }
+  async resolveIssueReference(sentryService, reference, defaultOrganization) {
+    let organization = defaultOrganization;
+    let issueRef = String(reference).trim();
+    let eventId = null;
+
+    if (/^https?:\/\//i.test(issueRef)) {
+      const parsed = this.parseIssueUrl(issueRef);
+      if (!parsed) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Could not find an issue ID in URL "${issueRef}". Expected a link like https://<org>.sentry.io/issues/<id>/`,
+        );
+      }
+      organization = parsed.organization || organization;
+      issueRef = parsed.issueRef;
+      eventId = parsed.eventId;
+    }
+
+    if (/^\d+$/.test(issueRef)) {
+      return { organization, issueId: Number(issueRef), eventId };
+    }
+
+    if (!organization) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Organization is required to resolve short ID "${issueRef}". Provide it as a parameter or set a default organization.`,
+      );
+    }
+
+    logger.info(`🔗 Resolving Sentry short ID: ${issueRef}`);
+    let resolved;
+    try {
+      resolved = await sentryService.resolveShortId(organization, issueRef);
+    } catch (error) {
+      if (error instanceof APIError && error.statusCode === 404) {
+        throw new NotFoundError(
+          `No Sentry issue with short ID "${issueRef}" was found in organization "${organization}".`,
+          'Sentry',
+        );
+      }
+      throw error;
+    }
+
+    const issueId = resolved?.groupId || resolved?.group?.id;
+    if (!issueId) {
+      throw new NotFoundError(
+        `Short ID "${issueRef}" did not resolve to an issue in organization "${organization}".`,
+        'Sentry',
+      );
+    }
+    logger.info(`✅ Resolved ${issueRef} to issue ${issueId}`);
+
+    return { organization, issueId: Number(issueId), eventId };
+  }
+
+  // Resolve statsPeriod/relativeDays/dateFrom/dateTo into one period, defaulting to 7 days
+  resolveStatsPeriod(validatedArgs) {
+    const { statsPeriod, relativeDays, dateFrom, dateTo } = validatedArgs;
+
+    if (statsPeriod) {
+      const [, amount, unit] = statsPeriod.match(/^(\d+)([mhdw])$/);
+      const minutes = Number(amount) * { m: 1, h: 60, d: 1440, w: 10080 }[unit];
+      return { statsPeriod, minutes, label: `last ${statsPeriod}` };
+    }
+
+    let range = null;
+    if (relativeDays) {
+      range = this.calculateRelativeDates(relativeDays);
+    } else if (dateFrom) {
+      range = { dateFrom, dateTo: dateTo || new Date().toISOString() };
+    }
+
+    if (!range) {
+      return { statsPeriod: '7d', minutes: 7 * 1440, label: 'last 7d' };
+    }
+
+    return {
+      dateFrom: range.dateFrom,
+      dateTo: range.dateTo,
+      minutes: (new Date(range.dateTo) - new Date(range.dateFrom)) / 60000,
+      label: `${range.dateFrom} to ${range.dateTo}`,
+    };
+  }
+
+  // Stack frame rendering options for SentryFormatter.formatStackFrames
+  buildFrameOptions(validatedArgs) {
+    const { inAppOnly, contextLines, includeVariables } = validatedArgs;
+    return {
+      inAppOnly,
+      contextLines,
+      includeVariables,
+      // Only switch to the detailed frame layout when one of the options was requested
+      showFrameInfo: Boolean(inAppOnly || contextLines > 0 || includeVariables),
+    };
+  }
+
+  // Translate validated tool arguments into Sentry's issue update body
+  buildIssueUpdatePayload(args) {
+    const payload = {};
+    const statusDetails = {};
+
+    if (args.status) {
+      payload.status = args.status;
+    }
+
+    if (args.inRelease) {
+      if (args.status !== 'resolved') {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'inRelease can only be used with status "resolved"',
+        );
+      }
+      statusDetails.inRelease = args.inRelease;
+    }
+
+    [
+      'ignoreDuration',
+      'ignoreCount',
+      'ignoreWindow',
+      'ignoreUserCount',
+      'ignoreUserWindow',
+    ].forEach(key => {
+      if (args[key] === undefined) return;
+      if (args.status !== 'ignored') {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${key} can only be used with status "ignored"`,
+        );
+      }
+      statusDetails[key] = args[key];
+    });
+
+    if (Object.keys(statusDetails).length > 0) {
+      payload.statusDetails = statusDetails;
+    }
+
+    if (args.assignedTo !== undefined) {
+      payload.assignedTo = args.assignedTo;
+    }
+    if (args.hasSeen !== undefined) {
+      payload.hasSeen = args.hasSeen;
+    }
+    if (args.isBookmarked !== undefined) {
+      payload.isBookmarked = args.isBookmarked;
+    }
+
+    return payload;
+  }
+
+  // Apply an update to a set of issues. If the bulk request fails in a way that may have
+  // applied it partially (server error, timeout), retry each issue individually so every
+  // ID can be reported as either changed or failed. Client errors and rate limits would
+  // fail the same way for every issue, so they are re-thrown instead.
+  async applyBulkIssueUpdate(sentryService, organization, issueIds, payload) {
+    try {
+      await sentryService.bulkUpdateIssues(organization, issueIds, payload);
+      return { changed: issueIds, failed: [] };
+    } catch (error) {
+      if (error instanceof APIError && error.statusCode < 500) throw error;
+      logger.warn(`Bulk update failed, retrying issues individually: ${error.message}`);
+    }
+
+    const changed = [];
+    const failed = [];
+    for (const issueId of issueIds) {
+      try {
+        await sentryService.updateIssue(organization, issueId, payload);
+        changed.push(issueId);
+      } catch (error) {
+        failed.push({ id: issueId, error: error.message });
+      }
+    }
+
+    return { changed, failed };
+  }
+
+  /**
+   * Look up suspect commits for an event and match them to its stack frames.
+   * Always returns a section: { available, commits } or { available: false, reason }.
+   */
+  async fetchSuspectCommits(sentryService, organization, issueDetails, event) {
+    const projectSlug = issueDetails.project?.slug;
+    if (!event || !projectSlug) {
+      return {
+        available: false,
+        reason: 'Not available: no event could be loaded for this issue.',
+      };
+    }
+
+    const eventId = event.eventID || event.id;
+    logger.info(`🕵️ Fetching suspect commits for event: ${eventId}`);
+    const response = await sentryService.getEventCommitters(organization, projectSlug, eventId);
+
+    if (!response?.committers?.length) {
+      const repositories = await sentryService.getRepositories(organization);
+      if (!Array.isArray(repositories) || repositories.length === 0) {
+        return {
+          available: false,
+          reason: `Not available: no repository integration is configured for organization "${organization}". Connect GitHub, GitLab or Bitbucket in Sentry and associate commits with releases to get suspect commits.`,
+        };
+      }
+      return {
+        available: false,
+        reason: `None found${response?.detail ? ` (${response.detail})` : ''}. Repositories are connected, but Sentry has no commits for this event's release or no code mappings for its stack frames.`,
+      };
+    }
+
+    // Changed files let us point at the frame each commit touched; optional
+    let commitFiles = [];
+    const release = event.release?.version;
+    if (release) {
+      try {
+        commitFiles = await sentryService.getReleaseCommitFiles(organization, release);
+      } catch (e) {
+        logger.warn(`Could not fetch changed files for release ${release}: ${e.message}`);
+      }
+    }
+
+    return {
+      available: true,
+      commits: SentryFormatter.formatSuspectCommits(response, event, commitFiles),
+    };
+  }
+
+  // Slowest events of one transaction and the spans of the slowest one
+  async fetchSlowestSpans(sentryService, organization, queryOptions, spanLimit) {
+    const { data: result } = await sentryService.queryEvents(organization, {
+      ...queryOptions,
+      fields: ['id', 'project', 'transaction.duration', 'timestamp', 'trace'],
+      sort: '-transaction.duration',
+      limit: 5,
+    });
+    const slowest = Array.isArray(result?.data) ? result.data : [];
+    if (slowest.length === 0) {
+      return 'Slowest Spans: no events found for this transaction in the period.';
+    }
+
+    const slowestEvents = slowest.map(row => ({
+      eventId: row.id,
+      project: row.project,
+      durationMs: SentryFormatter.roundMs(row['transaction.duration']),
+      timestamp: row.timestamp,
+      traceId: row.trace,
+    }));
+
+    logger.info(`🐢 Fetching spans for slowest event: ${slowest[0].id}`);
+    const event = await sentryService.getProjectEvent(
+      organization,
+      slowest[0].project,
+      slowest[0].id,
+    );
+
+    return `Slowest Events:\n${JSON.stringify(slowestEvents, null, 2)}\n\n${SentryFormatter.slowestSpansToMarkdown(
+      event,
+      spanLimit,
+    )}`;
+  }
+
+  // Spans of each transaction in a trace, keyed by event ID; failures only drop that transaction's spans
+  async fetchTraceSpans(sentryService, organization, trace, maxTransactions = 25) {
+    const flatten = txs => txs.flatMap(tx => [tx, ...flatten(tx.children || [])]);
+    const transactions = flatten(Array.isArray(trace) ? trace : trace?.transactions || []);
+
+    const spansByEventId = {};
+    await Promise.all(
+      transactions.slice(0, maxTransactions).map(async tx => {
+        try {
+          const event = await sentryService.getProjectEvent(
+            organization,
+            tx.project_slug,
+            tx.event_id,
+          );
+          spansByEventId[tx.event_id] = SentryFormatter.getEventSpans(event);
+        } catch (e) {
+          logger.warn(`Could not fetch spans for transaction ${tx.event_id}: ${e.message}`);
+        }
+      }),
+    );
+    return spansByEventId;
+  }
+
+  buildReplayLink(sentryService, organization, replayId) {
+    return `https://${sentryService.sentryDomain}/organizations/${organization}/replays/${replayId}/`;
+  }
+
   // Fetch organizations
   async fetchOrganizations(sentryService) {
     logger.info('🏢 Fetching Sentry organizations...');
@@ -129,8 +524,14 @@ class SentryHandler {
       throw new McpError(ErrorCode.InvalidParams, 'Organization is required for fetching issues');
     }
 
-    const issues = await sentryService.getSentryIssuesList(organization, options);
-    logger.info(`📊 Found ${issues.length} issues`);
+    const {
+      data: issues,
+      pagination,
+      pages = 1,
+    } = options.autoPaginate
+      ? await sentryService.getAllSentryIssues(organization, options)
+      : await sentryService.getSentryIssuesPage(organization, options);
+    logger.info(`📊 Found ${issues.length} issues${pages > 1 ? ` across ${pages} pages` : ''}`);
 
     // Compact issues list using formatter
     const formattedIssues = SentryFormatter.formatIssuesList(issues);
@@ -194,9 +595,25 @@ class SentryHandler {
       annotationText = '\n\nJIRA Links: None of the issues have linked JIRA tickets.';
     }
 
+    const paginationLines = ['\n\nPagination:'];
+    if (options.autoPaginate) {
+      paginationLines.push(`Pages Fetched: ${pages}`);
+    }
+    paginationLines.push(`Has More: ${pagination.hasMore}`);
+    paginationLines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+    if (pagination.previousCursor) {
+      paginationLines.push(`Previous Cursor: ${pagination.previousCursor}`);
+    }
+    if (!options.autoPaginate && options.limit > issues.length && pagination.hasMore) {
+      paginationLines.push(
+        'Note: Sentry returns at most 100 issues per page. Pass the Next Cursor as cursor, or set autoPaginate=true to collect up to limit issues.',
+      );
+    }
+    const paginationText = paginationLines.join('\n');
+
     return `Found ${
       issues.length
-    } issues in organization "${organization}":${filterText}${annotationText}\n\nIssues:\n${JSON.stringify(
+    } issues in organization "${organization}":${filterText}${annotationText}${paginationText}\n\nIssues:\n${JSON.stringify(
       formattedIssues,
       null,
       2,
@@ -253,33 +670,7 @@ class SentryHandler {
         );
       }
 
-      // Handle relativeDays parameter to auto-calculate dates
-      const issueOptions = {
-        project: validatedArgs.project,
-        dateFrom: validatedArgs.dateFrom,
-        dateTo: validatedArgs.dateTo,
-        sortBy: validatedArgs.sortBy,
-        excludeErrorType: validatedArgs.excludeErrorType,
-        errorMessage: validatedArgs.errorMessage,
-        environment: validatedArgs.environment,
-        limit: validatedArgs.limit,
-        statsPeriod: validatedArgs.statsPeriod,
-        groupStatsPeriod: validatedArgs.groupStatsPeriod,
-        query: validatedArgs.query,
-        collapse: validatedArgs.collapse,
-        cursor: validatedArgs.cursor,
-      };
-
-      // If relativeDays is provided and statsPeriod is not, calculate the actual dates
-      if (validatedArgs.relativeDays && !validatedArgs.statsPeriod) {
-        const { dateFrom, dateTo } = this.calculateRelativeDates(validatedArgs.relativeDays);
-        issueOptions.dateFrom = dateFrom;
-        issueOptions.dateTo = dateTo;
-        issueOptions.relativeDaysUsed = validatedArgs.relativeDays;
-        logger.info(
-          `📅 Using relative date range: last ${validatedArgs.relativeDays} days (${dateFrom} to ${dateTo})`,
-        );
-      }
+      const issueOptions = this.buildIssueListOptions(validatedArgs);
 
       return await this.fetchIssues(sentryService, organization, issueOptions);
     } catch (error) {
@@ -295,7 +686,12 @@ class SentryHandler {
         TOOL_NAMES.GET_SENTRY_ISSUE_DETAILS,
       );
       const sentryService = this.createSentryService(validatedArgs);
-      const { issueId, includeTags, environment, trace, deepDetails } = validatedArgs;
+      const { includeTags, environment, trace, deepDetails, suspectCommits } = validatedArgs;
+      const { organization, issueId, eventId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
 
       // Force optimization defaults unless explicitly requested
       const actualIncludeTags = includeTags === true ? true : false;
@@ -303,12 +699,10 @@ class SentryHandler {
       const actualDeepDetails = deepDetails === true ? true : false;
 
       const checkDeepDetails = actualDeepDetails;
+      const checkSuspectCommits = suspectCommits || checkDeepDetails;
 
       logger.info(`🔎 Fetching details for Sentry issue: ${issueId}`);
-      const issueDetails = await sentryService.getIssueDetails(
-        this.getOrganization(validatedArgs),
-        issueId,
-      );
+      const issueDetails = await sentryService.getIssueDetails(organization, issueId);
       logger.info(`✅ Fetched details for issue: ${issueId}`);
 
       let tags = null;
@@ -316,22 +710,18 @@ class SentryHandler {
 
       if (actualIncludeTags || checkDeepDetails) {
         try {
-          tags = await sentryService.getIssueTags(
-            this.getOrganization(validatedArgs),
-            issueId,
-            environment,
-          );
+          tags = await sentryService.getIssueTags(organization, issueId, environment);
         } catch (e) {
           logger.warn(`Could not fetch tags: ${e.message}`);
         }
       }
 
-      if (actualTrace || checkDeepDetails) {
+      if (actualTrace || checkDeepDetails || checkSuspectCommits) {
         try {
-          latestEvent = await sentryService.getLatestEventForIssue(
-            this.getOrganization(validatedArgs),
-            issueId,
-          );
+          // A permalink to a specific event shows that event instead of the latest one
+          latestEvent = eventId
+            ? await sentryService.getIssueEvents(organization, environment, eventId, issueId)
+            : await sentryService.getLatestEventForIssue(organization, issueId);
         } catch (e) {
           logger.warn(`Could not fetch latest event: ${e.message}`);
         }
@@ -343,7 +733,26 @@ class SentryHandler {
         tags,
         latestEvent,
         checkDeepDetails,
+        this.buildFrameOptions(validatedArgs),
       );
+
+      if (checkSuspectCommits) {
+        try {
+          formattedIssue.suspectCommits = await this.fetchSuspectCommits(
+            sentryService,
+            organization,
+            issueDetails,
+            latestEvent,
+          );
+        } catch (e) {
+          logger.warn(`Could not fetch suspect commits: ${e.message}`);
+          formattedIssue.suspectCommits = {
+            available: false,
+            reason: `Not available: ${e.message}`,
+          };
+        }
+      }
+
       const markdown = SentryFormatter.issueToMarkdown(formattedIssue, currentDateInfo);
 
       return `${markdown}\n\nDetailed Information:\n${JSON.stringify(formattedIssue, null, 2)}`;
@@ -351,6 +760,860 @@ class SentryHandler {
       return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_ISSUE_DETAILS);
     }
   }
+
+  async getSentryIssueEvents(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryIssueEventsSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { organization, issueId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+
+      logger.info(`🔎 Fetching events for Sentry issue: ${issueId}`);
+      const { data: events, pagination } = await sentryService.getIssueEventsList(
+        organization,
+        issueId,
+        validatedArgs,
+      );
+      logger.info(`📊 Found ${events.length} events for issue: ${issueId}`);
+
+      const formattedEvents = SentryFormatter.formatEventsList(events);
+      const summary = SentryFormatter.summarizeEvents(formattedEvents);
+
+      const filterSummary = [];
+      if (validatedArgs.environment) {
+        filterSummary.push(`Environment(s): ${[].concat(validatedArgs.environment).join(', ')}`);
+      }
+      if (validatedArgs.statsPeriod) {
+        filterSummary.push(`Period: ${validatedArgs.statsPeriod}`);
+      } else if (validatedArgs.dateFrom || validatedArgs.dateTo) {
+        filterSummary.push(
+          `Date Range: ${validatedArgs.dateFrom || '...'} to ${validatedArgs.dateTo || '...'}`,
+        );
+      }
+      if (validatedArgs.query) {
+        filterSummary.push(`Query: ${validatedArgs.query}`);
+      }
+
+      const lines = [`Found ${events.length} events for issue ${issueId}`];
+      if (filterSummary.length > 0) {
+        lines.push(`\nQuery Information:\n${filterSummary.join('\n')}`);
+      }
+      lines.push(`\nPagination:`);
+      lines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+      if (pagination.previousCursor) {
+        lines.push(`Previous Cursor: ${pagination.previousCursor}`);
+      }
+      lines.push(`\nEvent Spread (this page):`);
+      lines.push(`Releases: ${JSON.stringify(summary.releases)}`);
+      lines.push(`Environments: ${JSON.stringify(summary.environments)}`);
+      lines.push(`Unique Users: ${summary.uniqueUsers}`);
+
+      return `${lines.join('\n')}\n\nEvents:\n${JSON.stringify(formattedEvents, null, 2)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS);
+    }
+  }
+
+  async getSentryEventDetails(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryEventDetailsSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_EVENT_DETAILS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { environment, sections, breadcrumbsLimit, maxFrames } = validatedArgs;
+      const reference = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+      const { organization, issueId } = reference;
+      const eventId = validatedArgs.eventId || reference.eventId || 'latest';
+
+      logger.info(`🔎 Fetching event ${eventId} for Sentry issue: ${issueId}`);
+      const event = await sentryService.getIssueEvents(organization, environment, eventId, issueId);
+      logger.info(`✅ Fetched event ${event?.eventID || eventId} for issue: ${issueId}`);
+
+      return SentryFormatter.eventToMarkdown(event, {
+        sections,
+        breadcrumbsLimit,
+        maxFrames,
+        frameOptions: this.buildFrameOptions(validatedArgs),
+      });
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_EVENT_DETAILS);
+    }
+  }
+
+  async getSentryIssueStats(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryIssueStatsSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_ISSUE_STATS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { organization, issueId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+
+      const period = this.resolveStatsPeriod(validatedArgs);
+      if (!(period.minutes > 0)) {
+        throw new McpError(ErrorCode.InvalidParams, 'dateTo must be after dateFrom');
+      }
+      const interval = validatedArgs.interval || SentryFormatter.pickStatsInterval(period.minutes);
+
+      logger.info(`📈 Fetching event stats for Sentry issue ${issueId} (${period.label})`);
+      const issueDetails = await sentryService.getIssueDetails(organization, issueId);
+      const stats = await sentryService.getIssueEventsStats(organization, issueId, {
+        project: issueDetails?.project?.id,
+        environment: validatedArgs.environment,
+        statsPeriod: period.statsPeriod,
+        dateFrom: period.dateFrom,
+        dateTo: period.dateTo,
+        interval,
+      });
+
+      const buckets = SentryFormatter.parseEventsStats(stats);
+      logger.info(`📊 Received ${buckets.length} buckets for issue: ${issueId}`);
+
+      const analysis = SentryFormatter.detectSpikes(buckets, {
+        baselineBuckets: validatedArgs.baselineBuckets,
+        spikeThreshold: validatedArgs.spikeThreshold,
+      });
+
+      return SentryFormatter.issueStatsToMarkdown(
+        issueDetails || { id: issueId },
+        buckets,
+        analysis,
+        {
+          label: period.label,
+          interval,
+        },
+      );
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_ISSUE_STATS);
+    }
+  }
+
+  async updateSentryIssue(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryUpdateIssueSchema,
+        args,
+        TOOL_NAMES.UPDATE_SENTRY_ISSUE,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for updating issues. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      const { issueId } = validatedArgs;
+      const payload = this.buildIssueUpdatePayload(validatedArgs);
+
+      logger.info(`✏️ Updating Sentry issue ${issueId}: ${JSON.stringify(payload)}`);
+      const result = await sentryService.updateIssue(organization, issueId, payload);
+      logger.info(`✅ Updated issue: ${issueId}`);
+
+      const formattedUpdate = SentryFormatter.formatIssueUpdate(payload, result);
+      const markdown = SentryFormatter.issueUpdateToMarkdown(issueId, formattedUpdate);
+
+      return `${markdown}\n\nDetailed Information:\n${JSON.stringify(formattedUpdate, null, 2)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.UPDATE_SENTRY_ISSUE);
+    }
+  }
+
+  async bulkUpdateSentryIssues(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryBulkUpdateIssuesSchema,
+        args,
+        TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for updating issues. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      const payload = this.buildIssueUpdatePayload(validatedArgs);
+      const changeText = `Requested Change:\n${JSON.stringify(payload, null, 2)}`;
+
+      // Confirming applies the change to exactly the previewed IDs, even if the search
+      // would now match a different set; the filters are only used for the preview
+      if (validatedArgs.confirm) {
+        const issueIds = validatedArgs.issueIds.map(String);
+
+        logger.info(`✏️ Bulk updating ${issueIds.length} issues: ${JSON.stringify(payload)}`);
+        const { changed, failed } = await this.applyBulkIssueUpdate(
+          sentryService,
+          organization,
+          issueIds,
+          payload,
+        );
+        logger.info(`✅ Bulk update finished: ${changed.length} changed, ${failed.length} failed`);
+
+        const lines = [
+          `Bulk update in organization "${organization}": ${changed.length} changed, ${failed.length} failed (of ${issueIds.length} requested).`,
+          '',
+          changeText,
+          '',
+          `Changed Issue IDs: ${changed.length > 0 ? changed.join(', ') : 'None'}`,
+        ];
+        if (failed.length > 0) {
+          lines.push('\nFailed Issues:');
+          failed.forEach(f => lines.push(`${f.id}: ${f.error}`));
+        }
+        return lines.join('\n');
+      }
+
+      const issueOptions = this.buildIssueListOptions(validatedArgs);
+      const searchText = `Search:\n${this.describeIssueSearch(sentryService, issueOptions)}`;
+
+      logger.info(`🔍 Finding Sentry issues to bulk update in organization: ${organization}`);
+      const { data: issues, pagination } = await sentryService.getSentryIssuesPage(
+        organization,
+        issueOptions,
+      );
+      const targets = SentryFormatter.formatIssueSummaries(issues);
+      logger.info(`📊 Found ${targets.length} matching issues`);
+
+      if (targets.length === 0) {
+        return `No issues matched the given filters in organization "${organization}". Nothing was changed.\n\n${searchText}\n\n${changeText}`;
+      }
+
+      let matchText = `Matching Issues: ${targets.length}`;
+      if (pagination.hasMore) {
+        const total = pagination.total !== null ? ` of ${pagination.total}` : '';
+        matchText += `${total} (Has More: true). Only the ${targets.length} issues listed below would be updated; narrow the filters or raise limit (max 100) to include the rest.`;
+      }
+      const issueIds = targets.map(issue => issue.id);
+
+      return `Preview: ${targets.length} issue(s) in organization "${organization}" would be updated. Nothing has been changed yet.\n\n${searchText}\n${matchText}\n\n${changeText}\n\nTo apply the change to exactly these issues, re-run with confirm: true and issueIds: ${JSON.stringify(
+        issueIds,
+      )}\n\nIssues:\n${JSON.stringify(targets, null, 2)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES);
+    }
+  }
+
+  async getSentryReleases(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryReleasesSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_RELEASES,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for fetching releases. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      logger.info(`🚀 Fetching Sentry releases in organization: ${organization}`);
+      const { data: releases, pagination } = await sentryService.getReleases(
+        organization,
+        validatedArgs,
+      );
+      logger.info(`📊 Found ${releases.length} releases`);
+
+      // One deploys request per release; a failure only drops that release's deploys
+      const deploysMap = {};
+      if (validatedArgs.includeDeploys) {
+        await Promise.all(
+          releases.map(async release => {
+            try {
+              deploysMap[release.version] = await sentryService.getReleaseDeploys(
+                organization,
+                release.version,
+              );
+            } catch (error) {
+              logger.warn(
+                `Could not fetch deploys for release ${release.version}: ${error.message}`,
+              );
+            }
+          }),
+        );
+      }
+
+      const formattedReleases = SentryFormatter.formatReleasesList(releases, deploysMap);
+
+      const filterSummary = [];
+      if (validatedArgs.project) filterSummary.push(`Project: ${validatedArgs.project}`);
+      if (validatedArgs.environment) {
+        filterSummary.push(`Environment(s): ${[].concat(validatedArgs.environment).join(', ')}`);
+      }
+      if (validatedArgs.query) filterSummary.push(`Version Contains: ${validatedArgs.query}`);
+
+      const lines = [`Found ${releases.length} releases in organization "${organization}"`];
+      if (filterSummary.length > 0) {
+        lines.push(`\nQuery Information:\n${filterSummary.join('\n')}`);
+      }
+      lines.push(`\nPagination:`);
+      lines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+      if (pagination.previousCursor) {
+        lines.push(`Previous Cursor: ${pagination.previousCursor}`);
+      }
+
+      return `${lines.join('\n')}\n\nReleases:\n${JSON.stringify(formattedReleases, null, 2)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_RELEASES);
+    }
+  }
+
+  async getSentryReleaseDetails(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryReleaseDetailsSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+      const { version, project, environment, statsPeriod } = validatedArgs;
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for fetching releases. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      logger.info(`🚀 Fetching Sentry release ${version} in organization: ${organization}`);
+      const release = await sentryService.getRelease(organization, version, project);
+      const deploys = await sentryService.getReleaseDeploys(organization, version);
+
+      // Release health is optional per project, so a failure here should not hide the rest
+      let health;
+      try {
+        const sessions = await sentryService.getReleaseSessions(organization, version, {
+          project,
+          environment,
+          statsPeriod,
+        });
+        health = { data: SentryFormatter.formatReleaseHealth(sessions) };
+      } catch (error) {
+        logger.warn(`Could not fetch release health for ${version}: ${error.message}`);
+        health = { error: error.message };
+      }
+
+      const newIssues = await sentryService.getSentryIssuesList(organization, {
+        query: `firstRelease:"${version}"`,
+        project,
+        environment,
+        statsPeriod,
+        sortBy: 'freq',
+        limit: validatedArgs.issuesLimit,
+      });
+      logger.info(`📊 Found ${newIssues.length} issues first seen in release ${version}`);
+
+      return SentryFormatter.releaseToMarkdown(release, deploys, health, newIssues);
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS);
+    }
+  }
+
+  async querySentryEvents(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryQueryEventsSchema,
+        args,
+        TOOL_NAMES.QUERY_SENTRY_EVENTS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for querying events. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      const { fields } = validatedArgs;
+      logger.info(`🧮 Querying Sentry events in ${organization}: ${fields.join(', ')}`);
+      const { data: result, pagination } = await sentryService.queryEvents(
+        organization,
+        validatedArgs,
+      );
+      const rows = Array.isArray(result?.data) ? result.data : [];
+      logger.info(`📊 Query returned ${rows.length} rows`);
+
+      const filterSummary = [`Dataset: ${validatedArgs.dataset}`];
+      if (validatedArgs.query) filterSummary.push(`Query: ${validatedArgs.query}`);
+      if (validatedArgs.sort) filterSummary.push(`Sort: ${validatedArgs.sort}`);
+      if (validatedArgs.project) {
+        filterSummary.push(`Project(s): ${[].concat(validatedArgs.project).join(', ')}`);
+      }
+      if (validatedArgs.environment) {
+        filterSummary.push(`Environment(s): ${[].concat(validatedArgs.environment).join(', ')}`);
+      }
+      if (validatedArgs.statsPeriod) {
+        filterSummary.push(`Period: ${validatedArgs.statsPeriod}`);
+      } else if (validatedArgs.dateFrom || validatedArgs.dateTo) {
+        filterSummary.push(
+          `Date Range: ${validatedArgs.dateFrom || '...'} to ${validatedArgs.dateTo || '...'}`,
+        );
+      } else {
+        filterSummary.push('Period: 14d (Sentry default)');
+      }
+
+      const lines = [`Query returned ${rows.length} rows in organization "${organization}"`];
+      lines.push(`\nQuery Information:\n${filterSummary.join('\n')}`);
+      lines.push(`\nPagination:`);
+      lines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+      if (pagination.previousCursor) {
+        lines.push(`Previous Cursor: ${pagination.previousCursor}`);
+      }
+
+      return `${lines.join('\n')}\n\nResults:\n${SentryFormatter.eventsTableToMarkdown(fields, result)}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.QUERY_SENTRY_EVENTS);
+    }
+  }
+
+  async getSentryTransactions(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryTransactionsSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_TRANSACTIONS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for fetching transactions. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      const { transaction } = validatedArgs;
+      const sortFields = {
+        p95: '-p95()',
+        p75: '-p75()',
+        throughput: '-epm()',
+        failure_rate: '-failure_rate()',
+        count: '-count()',
+      };
+      const queryParts = ['event.type:transaction'];
+      if (transaction) queryParts.push(`transaction:"${transaction}"`);
+      if (validatedArgs.query) queryParts.push(validatedArgs.query);
+
+      const baseOptions = {
+        dataset: 'transactions',
+        query: queryParts.join(' '),
+        project: validatedArgs.project,
+        environment: validatedArgs.environment,
+        statsPeriod: validatedArgs.statsPeriod,
+        dateFrom: validatedArgs.dateFrom,
+        dateTo: validatedArgs.dateTo,
+      };
+
+      logger.info(
+        `⏱️ Fetching Sentry transactions in ${organization}${transaction ? ` for ${transaction}` : ''}`,
+      );
+      const { data: result, pagination } = await sentryService.queryEvents(organization, {
+        ...baseOptions,
+        fields: SentryFormatter.TRANSACTION_FIELDS,
+        sort: sortFields[validatedArgs.sortBy],
+        limit: validatedArgs.limit,
+        cursor: validatedArgs.cursor,
+      });
+      const transactions = SentryFormatter.formatTransactionsList(result?.data);
+      logger.info(`📊 Found ${transactions.length} transactions`);
+
+      const filterSummary = [`Ranked By: ${validatedArgs.sortBy}`];
+      if (transaction) filterSummary.push(`Transaction: ${transaction}`);
+      if (validatedArgs.project) {
+        filterSummary.push(`Project(s): ${[].concat(validatedArgs.project).join(', ')}`);
+      }
+      if (validatedArgs.environment) {
+        filterSummary.push(`Environment(s): ${[].concat(validatedArgs.environment).join(', ')}`);
+      }
+      if (validatedArgs.query) filterSummary.push(`Query: ${validatedArgs.query}`);
+      if (validatedArgs.statsPeriod) {
+        filterSummary.push(`Period: ${validatedArgs.statsPeriod}`);
+      } else if (validatedArgs.dateFrom || validatedArgs.dateTo) {
+        filterSummary.push(
+          `Date Range: ${validatedArgs.dateFrom || '...'} to ${validatedArgs.dateTo || '...'}`,
+        );
+      } else {
+        filterSummary.push('Period: 14d (Sentry default)');
+      }
+
+      const lines = [`Found ${transactions.length} transactions in organization "${organization}"`];
+      lines.push(`\nQuery Information:\n${filterSummary.join('\n')}`);
+      lines.push(`\nPagination:`);
+      lines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+      if (pagination.previousCursor) {
+        lines.push(`Previous Cursor: ${pagination.previousCursor}`);
+      }
+
+      let output = `${lines.join('\n')}\n\nTransactions:\n${JSON.stringify(transactions, null, 2)}`;
+
+      if (transaction) {
+        output += `\n\n${await this.fetchSlowestSpans(
+          sentryService,
+          organization,
+          baseOptions,
+          validatedArgs.spanLimit,
+        )}`;
+      }
+
+      return output;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_TRANSACTIONS);
+    }
+  }
+
+  async getSentryTrace(args) {
+    try {
+      const validatedArgs = validateSchema(SentryTraceSchema, args, TOOL_NAMES.GET_SENTRY_TRACE);
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+      const { traceId } = validatedArgs;
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for fetching traces. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      logger.info(`🧵 Fetching Sentry trace: ${traceId}`);
+      const trace = await sentryService.getTrace(organization, traceId, validatedArgs.statsPeriod);
+
+      const spansByEventId = validatedArgs.includeSpans
+        ? await this.fetchTraceSpans(sentryService, organization, trace)
+        : {};
+
+      return SentryFormatter.traceToMarkdown(
+        traceId,
+        trace,
+        spansByEventId,
+        validatedArgs.maxNodes,
+      );
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_TRACE);
+    }
+  }
+
+  async getSentryIssueReplays(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryIssueReplaysSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { organization, issueId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+      const { statsPeriod, limit } = validatedArgs;
+
+      logger.info(`🎬 Fetching replays for Sentry issue: ${issueId}`);
+      const replayIds = await sentryService.getIssueReplayIds(organization, issueId, statsPeriod);
+      logger.info(`📊 Found ${replayIds.length} replays for issue: ${issueId}`);
+
+      if (replayIds.length === 0) {
+        return `No replays are linked to issue ${issueId} in the last ${statsPeriod}. Session Replay may not be enabled for this project, or no replayed session hit this error.`;
+      }
+
+      const replays = await sentryService.getReplays(
+        organization,
+        replayIds.slice(0, limit),
+        statsPeriod,
+      );
+      const formattedReplays = replays.map(replay =>
+        SentryFormatter.formatReplay(
+          replay,
+          this.buildReplayLink(sentryService, organization, replay.id),
+        ),
+      );
+
+      const shown = replayIds.length > limit ? ` (showing ${limit}, raise limit to see more)` : '';
+      return `Found ${replayIds.length} replays for issue ${issueId} in the last ${statsPeriod}${shown}.\nUse get_sentry_replay_timeline with a replay ID to see what the user did.\n\nReplays:\n${JSON.stringify(
+        formattedReplays,
+        null,
+        2,
+      )}`;
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS);
+    }
+  }
+
+  async getSentryReplayTimeline(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryReplayTimelineSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const organization = this.getOrganization(validatedArgs);
+      const { replayId } = validatedArgs;
+
+      if (!organization) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'Organization is required for fetching replays. Provide it as a parameter or set a default organization.',
+        );
+      }
+
+      logger.info(`🎬 Fetching Sentry replay: ${replayId}`);
+      const replay = await sentryService.getReplay(organization, replayId);
+      if (!replay) {
+        throw new NotFoundError(`Replay ${replayId} was not found`, 'Sentry');
+      }
+
+      // Recording segments are addressed by project slug, the replay only knows the project ID
+      const projects = await sentryService.getProjects(organization);
+      const project = projects.find(p => String(p.id) === String(replay.project_id));
+      if (!project) {
+        throw new NotFoundError(
+          `Project ${replay.project_id} of replay ${replayId} is not accessible`,
+          'Sentry',
+        );
+      }
+
+      const segments = await sentryService.getReplayRecordingSegments(
+        organization,
+        project.slug,
+        replayId,
+      );
+      const timeline = SentryFormatter.extractReplayTimeline(
+        segments,
+        replay.started_at,
+        validatedArgs.includeConsole,
+      );
+      logger.info(`📊 Condensed replay ${replayId} to ${timeline.length} timeline entries`);
+
+      return SentryFormatter.replayTimelineToMarkdown(
+        replay,
+        this.buildReplayLink(sentryService, organization, replayId),
+        timeline,
+        validatedArgs.limit,
+      );
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE);
+    }
+  }
+
+  async getSentryTagDistribution(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryTagDistributionSchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { key, environment, limit, cursor } = validatedArgs;
+
+      let organization = this.getOrganization(validatedArgs);
+      let scope;
+      let distribution;
+      let totals;
+      let pagination;
+
+      if (validatedArgs.issueId !== undefined) {
+        const resolved = await this.resolveIssueReference(
+          sentryService,
+          validatedArgs.issueId,
+          organization,
+        );
+        organization = resolved.organization;
+        const { issueId } = resolved;
+
+        logger.info(`🏷️ Fetching distribution of tag ${key} for Sentry issue: ${issueId}`);
+        const details = await sentryService.getIssueTagDetails(
+          organization,
+          issueId,
+          key,
+          environment,
+        );
+        const page = await sentryService.getIssueTagValues(organization, issueId, key, {
+          environment,
+          limit,
+          cursor,
+        });
+
+        scope = `issue ${issueId}${environment ? ` (environment ${environment})` : ''}`;
+        totals = { events: details?.totalValues, uniqueValues: details?.uniqueValues };
+        distribution = SentryFormatter.formatTagDistribution(page.data, details?.totalValues);
+        pagination = page.pagination;
+      } else {
+        if (!organization) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'Organization is required for a project-wide tag breakdown. Provide it as a parameter or set a default organization.',
+          );
+        }
+
+        // Only events that carry the tag, so percentages add up to 100
+        const column = `tags[${key}]`;
+        const baseOptions = {
+          query: [`has:${key}`, validatedArgs.query].filter(Boolean).join(' '),
+          project: validatedArgs.project,
+          environment,
+          statsPeriod: validatedArgs.statsPeriod,
+          dateFrom: validatedArgs.dateFrom,
+          dateTo: validatedArgs.dateTo,
+        };
+
+        logger.info(`🏷️ Fetching distribution of tag ${key} in organization: ${organization}`);
+        const { data: totalsResult } = await sentryService.queryEvents(organization, {
+          ...baseOptions,
+          fields: ['count()', `count_unique(${column})`],
+        });
+        const page = await sentryService.queryEvents(organization, {
+          ...baseOptions,
+          fields: [column, 'count()', 'min(timestamp)', 'max(timestamp)'],
+          sort: '-count()',
+          limit,
+          cursor,
+        });
+
+        const totalRow = totalsResult?.data?.[0] || {};
+        const rows = (page.data?.data || []).map(row => ({
+          value: row[column],
+          count: row['count()'],
+          firstSeen: row['min(timestamp)'],
+          lastSeen: row['max(timestamp)'],
+        }));
+
+        const filters = [
+          validatedArgs.project
+            ? `project(s) ${[].concat(validatedArgs.project).join(', ')}`
+            : 'all projects',
+        ];
+        if (environment) filters.push(`environment ${environment}`);
+        if (validatedArgs.query) filters.push(`query "${validatedArgs.query}"`);
+        filters.push(
+          validatedArgs.statsPeriod
+            ? `last ${validatedArgs.statsPeriod}`
+            : validatedArgs.dateFrom || validatedArgs.dateTo
+              ? `${validatedArgs.dateFrom || '...'} to ${validatedArgs.dateTo || '...'}`
+              : 'last 14d (Sentry default)',
+        );
+
+        scope = filters.join(', ');
+        totals = {
+          events: totalRow['count()'],
+          uniqueValues: totalRow[`count_unique(${column})`],
+        };
+        distribution = SentryFormatter.formatTagDistribution(rows, totalRow['count()']);
+        pagination = page.pagination;
+      }
+
+      logger.info(`📊 Found ${distribution.length} values for tag ${key}`);
+
+      const lines = [SentryFormatter.tagDistributionToMarkdown(key, scope, distribution, totals)];
+      lines.push(`\nPagination:`);
+      lines.push(`Next Cursor: ${pagination.nextCursor || 'None (last page)'}`);
+      if (pagination.previousCursor) {
+        lines.push(`Previous Cursor: ${pagination.previousCursor}`);
+      }
+
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION);
+    }
+  }
+
+  async getSentryIssueActivity(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryIssueActivitySchema,
+        args,
+        TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { organization, issueId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+
+      logger.info(`🗒️ Fetching activity for Sentry issue: ${issueId}`);
+      let activities = await sentryService.getIssueActivity(organization, issueId);
+      if (validatedArgs.notesOnly) {
+        activities = activities.filter(activity => activity.type === 'note');
+      }
+      logger.info(`📊 Found ${activities.length} activity items for issue: ${issueId}`);
+
+      // The feed is newest first, so the limit keeps the most recent items
+      return SentryFormatter.activityToMarkdown(
+        issueId,
+        activities.slice(0, validatedArgs.limit),
+        activities.length,
+      );
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY);
+    }
+  }
+
+  async addSentryIssueNote(args) {
+    try {
+      const validatedArgs = validateSchema(
+        SentryAddIssueNoteSchema,
+        args,
+        TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE,
+      );
+      const sentryService = this.createSentryService(validatedArgs);
+      const { organization, issueId } = await this.resolveIssueReference(
+        sentryService,
+        validatedArgs.issueId,
+        this.getOrganization(validatedArgs),
+      );
+      const { jiraIssueKey, jiraIssueUrl } = validatedArgs;
+
+      let text = validatedArgs.text;
+      if (jiraIssueKey) {
+        const link = jiraIssueUrl ? `[${jiraIssueKey}](${jiraIssueUrl})` : jiraIssueKey;
+        text += `\n\nJira: ${link}`;
+      }
+
+      logger.info(`🗒️ Adding note to Sentry issue: ${issueId}`);
+      const note = await sentryService.addIssueNote(organization, issueId, text);
+      logger.info(`✅ Added note ${note?.id} to issue: ${issueId}`);
+
+      const lines = [`Added note to issue ${issueId}.`];
+      if (note?.id) lines.push(`Note ID: ${note.id}`);
+      if (note?.dateCreated) lines.push(`Created: ${note.dateCreated}`);
+      lines.push(`\nText:\n${note?.data?.text || text}`);
+      return lines.join('\n');
+    } catch (error) {
+      return ErrorHandler.handleError(error, TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE);
+    }
+  }
 }
 
 module.exports = SentryHandler;
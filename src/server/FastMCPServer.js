@@ -88,6 +88,38 @@ function convertToolDefinition(toolDef, handlers) {
     [TOOL_NAMES.GET_CURRENT_DATETIME]: args => handlers.datetimeHandler.getCurrentDateTime(args),
     [TOOL_NAMES.GET_SENTRY_ISSUE_DETAILS]: args =>
       handlers.sentryHandler.getSentryIssueDetails(args),
+    [TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS]: args => handlers.sentryHandler.getSentryIssueEvents(args),
+    [TOOL_NAMES.GET_SENTRY_EVENT_DETAILS]: args =>
+      handlers.sentryHandler.getSentryEventDetails(args),
+    [TOOL_NAMES.GET_SENTRY_ISSUE_STATS]: args => handlers.sentryHandler.getSentryIssueStats(args),
+    [TOOL_NAMES.UPDATE_SENTRY_ISSUE]: args => handlers.sentryHandler.updateSentryIssue(args),
+    [TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES]: args =>
+      handlers.sentryHandler.bulkUpdateSentryIssues(args),
+    [TOOL_NAMES.GET_SENTRY_RELEASES]: args => handlers.sentryHandler.getSentryReleases(args),
+    [TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS]: args =>
+      handlers.sentryHandler.getSentryReleaseDetails(args),
+    [TOOL_NAMES.QUERY_SENTRY_EVENTS]: args => handlers.sentryHandler.querySentryEvents(args),
+    [TOOL_NAMES.GET_SENTRY_TRANSACTIONS]: args =>
+      handlers.sentryHandler.getSentryTransactions(args),
+    [TOOL_NAMES.GET_SENTRY_TRACE]: args => handlers.sentryHandler.getSentryTrace(args),
+    [TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS]: args =>
+      handlers.sentryHandler.getSentryIssueReplays(args),
+    [TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE]: args =>
+      handlers.sentryHandler.getSentryReplayTimeline(args),
+    [TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION]: args =>
+      handlers.sentryHandler.getSentryTagDistribution(args),
+    [TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY]: args =>
+      handlers.sentryHandler.getSentryIssueActivity(args),
+    [TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE]: args => handlers.sentryHandler.addSentryIssueNote(args),
+    [TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY]: args =>
+      handlers.jiraHandler.createJiraIssueFromSentry(args, handlers.sentryHandler),
+    [TOOL_NAMES.CREATE_JIRA_ISSUE]: args => handlers.jiraHandler.createJiraIssue(args),
+    [TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA]: args =>
+      handlers.jiraHandler.linkSentryIssueToJira(args, handlers.sentryHandler),
+    [TOOL_NAMES.SEARCH_JIRA_ISSUES]: args => handlers.jiraHandler.searchJiraIssues(args),
+    [TOOL_NAMES.ADD_JIRA_COMMENT]: args => handlers.jiraHandler.addJiraComment(args),
+    [TOOL_NAMES.GET_JIRA_TRANSITIONS]: args => handlers.jiraHandler.getJiraTransitions(args),
+    [TOOL_NAMES.TRANSITION_JIRA_ISSUE]: args => handlers.jiraHandler.transitionJiraIssue(args),
   };
 
   return {
@@ -137,6 +137,118 @@ class MCPServer {
           result = await sentryHandler.getSentryIssueDetails(toolArgs);
           break;
 
+        case TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS:
+          this.logger.info(`🔍 Executing Sentry issue events: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryIssueEvents(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_EVENT_DETAILS:
+          this.logger.info(`🔍 Executing Sentry event details: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryEventDetails(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_ISSUE_STATS:
+          this.logger.info(`📈 Executing Sentry issue stats: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryIssueStats(toolArgs);
+          break;
+
+        case TOOL_NAMES.UPDATE_SENTRY_ISSUE:
+          this.logger.info(`✏️ Executing Sentry issue update: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.updateSentryIssue(toolArgs);
+          break;
+
+        case TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES:
+          this.logger.info(`✏️ Executing Sentry bulk issue update: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.bulkUpdateSentryIssues(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_RELEASES:
+          this.logger.info(`🚀 Executing Sentry releases: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryReleases(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS:
+          this.logger.info(`🚀 Executing Sentry release details: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryReleaseDetails(toolArgs);
+          break;
+
+        case TOOL_NAMES.QUERY_SENTRY_EVENTS:
+          this.logger.info(`🧮 Executing Sentry events query: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.querySentryEvents(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_TRANSACTIONS:
+          this.logger.info(`⏱️ Executing Sentry transactions: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryTransactions(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_TRACE:
+          this.logger.info(`🧵 Executing Sentry trace: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryTrace(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS:
+          this.logger.info(`🎬 Executing Sentry issue replays: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryIssueReplays(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE:
+          this.logger.info(`🎬 Executing Sentry replay timeline: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryReplayTimeline(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION:
+          this.logger.info(`🏷️ Executing Sentry tag distribution: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryTagDistribution(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY:
+          this.logger.info(`🗒️ Executing Sentry issue activity: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.getSentryIssueActivity(toolArgs);
+          break;
+
+        case TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE:
+          this.logger.info(`🗒️ Executing Sentry issue note: ${JSON.stringify(toolArgs)}`);
+          result = await sentryHandler.addSentryIssueNote(toolArgs);
+          break;
+
+        case TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY:
+          this.logger.info(
+            `🎟️ Executing JIRA ticket from Sentry issue: ${JSON.stringify(toolArgs)}`,
+          );
+          result = await jiraHandler.createJiraIssueFromSentry(toolArgs, sentryHandler);
+          break;
+
+        case TOOL_NAMES.CREATE_JIRA_ISSUE:
+          this.logger.info(`🎟️ Executing JIRA ticket creation: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.createJiraIssue(toolArgs);
+          break;
+
+        case TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA:
+          this.logger.info(`🔗 Executing Sentry/JIRA link: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.linkSentryIssueToJira(toolArgs, sentryHandler);
+          break;
+
+        case TOOL_NAMES.SEARCH_JIRA_ISSUES:
+          this.logger.info(`🔎 Executing JIRA search: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.searchJiraIssues(toolArgs);
+          break;
+
+        case TOOL_NAMES.ADD_JIRA_COMMENT:
+          this.logger.info(`💬 Executing JIRA comment: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.addJiraComment(toolArgs);
+          break;
+
+        case TOOL_NAMES.GET_JIRA_TRANSITIONS:
+          this.logger.info(`🔀 Executing JIRA transitions listing: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.getJiraTransitions(toolArgs);
+          break;
+
+        case TOOL_NAMES.TRANSITION_JIRA_ISSUE:
+          this.logger.info(`🔀 Executing JIRA transition: ${JSON.stringify(toolArgs)}`);
+          result = await jiraHandler.transitionJiraIssue(toolArgs);
+          break;
+
         default:
           this.logger.warn(`❌ Unknown tool: ${toolName}`);
           throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
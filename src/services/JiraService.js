@@ -1,4 +1,12 @@
 const JiraFormatter = require('../utils/JiraFormatter');
+const { ValidationError } = require('../utils/ErrorHandler');
+
+// Jira account IDs: 24 hex characters (legacy) or "<number>:<uuid>"
+const ACCOUNT_ID_PATTERN = /^([0-9a-f]{24}|\d+:[0-9a-f-]{36})$/i;
+
+// Fields that must be sent as ADF when given as plain text
+const ADF_CUSTOM_FIELD_TYPE = 'com.atlassian.jira.plugin.system.customfieldtypes:textarea';
+const ADF_SYSTEM_FIELDS = ['description', 'environment'];
 
 /**
  * JIRA Service for interacting with JIRA Cloud REST API v3
@@ -106,9 +114,10 @@ class JiraService {
    *
    * @param {string} ticketKey - JIRA issue key (e.g., 'PROJ-123')
    * @param {boolean} deepDetails - Include full comment history and extended details
+   * @param {Object} [textOptions] - Markdown length budgets: maxDescriptionLength, maxCommentLength
    * @returns {Promise<Object>} Formatted JIRA ticket details
    */
-  async getJiraTicketDetails(ticketKey, deepDetails) {
+  async getJiraTicketDetails(ticketKey, deepDetails, textOptions = {}) {
     console.info('JIRA Service: Starting getJiraTicketDetails for:', ticketKey);
     // URL: GET /rest/api/3/issue/{ticketKey}
     const url = `${this.apiBase}/issue/${ticketKey}`;
@@ -159,6 +168,7 @@ class JiraService {
         this.atlassianDomain,
         deepDetails,
         fieldMappings,
+        textOptions,
       );
 
       console.info('JIRA formatted response structure:', {
@@ -362,6 +372,8 @@ class JiraService {
       isCustom: isCustom,
       currentValue: this.formatCurrentValue(currentValue, fieldMeta.schema?.type),
       allowedValues: this.extractAllowedValues(fieldMeta),
+      schema: fieldMeta.schema,
+      operations: fieldMeta.operations,
     };
 
     return fieldInfo;
@@ -405,126 +417,177 @@ class JiraService {
   }
 
   /**
-   * Update JIRA issue with field validation
-   * Only updates fields that exist and are valid
+   * Resolve requested edits against the ticket's editable fields. Values are converted to
+   * JIRA's shapes (names to option IDs, emails to account IDs, text to ADF); array values
+   * prefixed with "+" or "-" become add/remove operations where the field supports them
+   * (see buildFieldChange). Fields that cannot be resolved, including ambiguous or inexact
+   * matches, are skipped with a reason instead of being guessed.
+   *
+   * @returns {Promise<Object>} { fields, update, changes: [{ key, name, fieldInfo, value, operations, current, proposed }], skipped: [{ field, reason }] }
    */
-  async editJiraTicket(ticketKey, updateFields) {
-    try {
-      // First get field metadata to validate
-      const fieldsInfo = await this.getJiraIssueFieldsForTicket(ticketKey, true, true);
-      const validFields = {};
-      const skippedFields = [];
-
-      // Validate and format each field before updating
-      Object.keys(updateFields).forEach(fieldKey => {
-        const essentialField = fieldsInfo.essentialFields.find(
-          f => f.key === fieldKey || f.name === fieldKey,
-        );
-        const customField = fieldsInfo.customFields.find(
-          f => f.key === fieldKey || f.name === fieldKey,
-        );
-        const fieldInfo = essentialField || customField;
+  async planFieldUpdates(ticketKey, updateFields, editableFields) {
+    const plan = { fields: {}, update: {}, changes: [], skipped: [] };
+    const fieldMappings = this.fieldMappings || {};
 
-        if (fieldInfo) {
-          validFields[fieldKey] = this.formatFieldValue(updateFields[fieldKey], fieldInfo);
+    for (const [fieldKey, value] of Object.entries(updateFields)) {
+      try {
+        const fieldInfo = this.findFieldMeta(
+          fieldKey,
+          editableFields,
+          fieldMappings,
+          `${ticketKey} edit`,
+        );
+        const change = await this.buildFieldChange(fieldInfo, value);
+        change.current = JiraFormatter.fieldValueText(fieldInfo.currentValue) || 'None';
+        change.proposed = change.operations
+          ? this.previewOperations(fieldInfo, change.current, change.operations)
+          : this.describeFieldValue(fieldInfo, change.value, value);
+
+        if (change.operations) {
+          plan.update[fieldInfo.key] = change.operations;
         } else {
-          skippedFields.push(fieldKey);
+          plan.fields[fieldInfo.key] = change.value;
         }
-      });
-
-      if (Object.keys(validFields).length === 0) {
-        throw new Error(
-          `No valid fields found to update. Available fields: ${fieldsInfo.essentialFields.map(f => f.name).join(', ')}`,
-        );
+        plan.changes.push({ key: fieldInfo.key, name: fieldInfo.name, fieldInfo, ...change });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        plan.skipped.push({ field: fieldKey, reason: error.message });
       }
+    }
 
-      // Update the issue
-      const updateUrl = `${this.apiBase}/issue/${ticketKey}`;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-      const response = await fetch(updateUrl, {
-        method: 'PUT',
-        headers: this.getHeaders(),
-        body: JSON.stringify({ fields: validFields }),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`JIRA API Error: ${response.status} ${response.statusText} - ${errorText}`);
-      }
+    return plan;
+  }
 
-      return {
-        success: true,
-        ticketKey: ticketKey,
-        updatedFields: Object.keys(validFields),
-        skippedFields: skippedFields,
-        message: `Successfully updated ${Object.keys(validFields).length} field(s). ${skippedFields.length > 0 ? `Skipped ${skippedFields.length} invalid field(s): ${skippedFields.join(', ')}` : ''}`,
-      };
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error(`JIRA API request timed out for ticket: ${ticketKey}`);
-      }
-      throw new Error(`Failed to update JIRA ticket: ${error.message}`);
+  /**
+   * Readable form of a value about to be sent to JIRA: option names instead of IDs,
+   * the requested user next to the resolved account ID, text instead of ADF
+   */
+  describeFieldValue(fieldInfo, value, input = null) {
+    if (value === null || value === undefined) return 'None';
+    if (Array.isArray(value)) {
+      const items = value.map((item, index) =>
+        this.describeFieldValue(fieldInfo, item, Array.isArray(input) ? input[index] : null),
+      );
+      return items.join(', ') || 'None';
+    }
+    if (typeof value !== 'object') return String(value);
+    if (value.type === 'doc') return JiraFormatter.adfToMarkdown(value) || 'None';
+    if (value.accountId) {
+      return typeof input === 'string' && input !== value.accountId
+        ? `${input} (${value.accountId})`
+        : value.accountId;
+    }
+    if (value.id) {
+      const option = (fieldInfo.allowedValues || []).find(o => String(o.id) === String(value.id));
+      return option?.name || value.id;
     }
+    return value.name || value.value || value.key || JSON.stringify(value);
   }
 
   /**
-   * Format field value based on field type for JIRA API
+   * The list a field would hold after add/remove operations, for edit previews
    */
-  formatFieldValue(value, fieldInfo) {
-    if (!value) return value;
+  previewOperations(fieldInfo, current, operations) {
+    let items = current === 'None' ? [] : current.split(', ');
+    operations.forEach(operation => {
+      const [verb, value] = Object.entries(operation)[0];
+      const label = this.describeFieldValue(fieldInfo, value);
+      if (verb === 'add' && !items.includes(label)) items.push(label);
+      if (verb === 'remove') items = items.filter(item => item !== label);
+    });
+    return items.join(', ') || 'None';
+  }
 
-    // Check if this is an ADF field by examining the field schema or type
-    const requiresADF = this.isADFField(fieldInfo);
+  /**
+   * Value to set for a field, or add/remove operations when array values start with +/-
+   *
+   * The prefixes only mean add/remove on array fields whose editmeta operations include
+   * that verb; elsewhere they are part of the value. A leading backslash keeps a prefix
+   * literal on array fields: "\\-1" is the label "-1".
+   */
+  async buildFieldChange(fieldInfo, value) {
+    const isArray = fieldInfo.schema?.type === 'array';
+    const values = Array.isArray(value) ? value : [value];
+    const operationVerb = item => {
+      if (!isArray || typeof item !== 'string' || !/^[+-]\S/.test(item)) return null;
+      const verb = item[0] === '+' ? 'add' : 'remove';
+      return (fieldInfo.operations || []).includes(verb) ? verb : null;
+    };
+    const literal = item =>
+      isArray && typeof item === 'string' && /^\\[+-]/.test(item) ? item.slice(1) : item;
 
-    if (requiresADF && typeof value === 'string') {
-      // Convert plain text to ADF format
-      return this.convertTextToADF(value);
+    if (!values.some(operationVerb)) {
+      const plain = Array.isArray(value) ? value.map(literal) : literal(value);
+      return { value: await this.formatMetaFieldValue(fieldInfo, plain) };
     }
 
-    // Handle other field types
-    switch (fieldInfo.type) {
-      case 'user':
-        return typeof value === 'string' ? { name: value } : value;
-      case 'array':
-        return Array.isArray(value) ? value : [value];
-      case 'option':
-        return typeof value === 'string' ? { value: value } : value;
-      case 'priority':
-      case 'status':
-      case 'issuetype':
-        return typeof value === 'string' ? { name: value } : value;
-      default:
-        return value;
+    // Unprefixed values next to +/- ones are added
+    const operations = [];
+    for (const item of values) {
+      const verb = operationVerb(item);
+      const raw = verb ? item.slice(1) : literal(item);
+      const [formatted] = await this.formatMetaFieldValue(fieldInfo, [raw]);
+      operations.push({ [verb || 'add']: formatted });
     }
+    return { operations };
   }
 
   /**
-   * Check if a field requires ADF format
+   * Update JIRA issue with field validation
+   * Only updates fields that exist and resolve to valid values. With dryRun the
+   * validated changes are returned as current/proposed pairs and nothing is sent.
    */
-  isADFField(fieldInfo) {
-    // Common ADF fields
-    const adfFields = ['description', 'summary', 'comment'];
+  async editJiraTicket(ticketKey, updateFields, { dryRun = false } = {}) {
+    try {
+      // editmeta only lists fields the user can edit, so consider all of them
+      const fieldsInfo = await this.getJiraIssueFieldsForTicket(ticketKey, false, true);
+      const editableFields = [...fieldsInfo.essentialFields, ...fieldsInfo.customFields];
+      const plan = await this.planFieldUpdates(ticketKey, updateFields, editableFields);
+      const skippedFields = plan.skipped.map(skipped => skipped.field);
+
+      if (dryRun) {
+        return {
+          dryRun: true,
+          ticketKey,
+          changes: plan.changes.map(({ key, name, current, proposed }) => ({
+            key,
+            name,
+            current,
+            proposed,
+          })),
+          skippedFields: plan.skipped,
+        };
+      }
 
-    // Check if it's a known ADF field
-    if (adfFields.includes(fieldInfo.key)) {
-      return true;
-    }
+      if (plan.changes.length === 0) {
+        const reasons = plan.skipped.map(skipped => `- ${skipped.reason}`).join('\n');
+        throw new ValidationError(
+          `No valid fields found to update:\n${reasons}\n\nAvailable fields: ${fieldsInfo.essentialFields.map(f => f.name).join(', ')}`,
+        );
+      }
 
-    // Check if it's a custom field that might require ADF
-    // (customfield_10217 appears to be "Additional Test Scope" which requires ADF)
-    const adfCustomFields = [
-      'customfield_10217', // Additional Test Scope
-      'customfield_10236', // Acceptance Criteria
-      'customfield_10437', // Action Plan
-      'customfield_10438', // Deliverables
-    ];
+      // Update the issue
+      const body = {};
+      if (Object.keys(plan.fields).length > 0) body.fields = plan.fields;
+      if (Object.keys(plan.update).length > 0) body.update = plan.update;
+
+      await this.fetchJson(
+        `${this.apiBase}/issue/${encodeURIComponent(ticketKey)}`,
+        `Updating ${ticketKey}`,
+        { method: 'PUT', body },
+      );
 
-    return adfCustomFields.includes(fieldInfo.key);
+      return {
+        success: true,
+        ticketKey: ticketKey,
+        updatedFields: plan.changes.map(change => change.name || change.key),
+        skippedFields: plan.skipped,
+        message: `Successfully updated ${plan.changes.length} field(s). ${skippedFields.length > 0 ? `Skipped ${skippedFields.length} field(s): ${skippedFields.join(', ')}` : ''}`,
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Failed to update JIRA ticket: ${error.message}`);
+    }
   }
 
   /**
@@ -617,6 +680,635 @@ class JiraService {
       content: content,
     };
   }
+
+  /**
+   * Send a JIRA API request with the standard 15 second timeout and parse the JSON response
+   *
+   * @param {string} url - Request URL
+   * @param {string} description - Description used in error messages
+   * @param {Object} options - { method, body }
+   * @returns {Promise<Object|null>} Parsed response, or null for 204 No Content
+   */
+  async fetchJson(url, description, options = {}) {
+    const { method = 'GET', body } = options;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: this.getHeaders(),
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`JIRA API Error: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+
+      return response.status === 204 ? null : await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${description} timed out after 15 seconds`);
+      }
+      throw new Error(`${description} failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Collect every page of a startAt/maxResults paginated endpoint
+   *
+   * @param {string} url - Request URL without pagination parameters
+   * @param {string} description - Description used in error messages
+   * @param {string[]} listKeys - Response properties that may hold the page items
+   * @returns {Promise<Array>} Items from all pages
+   */
+  async fetchAllPages(url, description, listKeys) {
+    const items = [];
+    const separator = url.includes('?') ? '&' : '?';
+    let startAt = 0;
+    let done = false;
+
+    while (!done) {
+      const page = await this.fetchJson(
+        `${url}${separator}startAt=${startAt}&maxResults=100`,
+        description,
+      );
+      const values = listKeys.map(key => page?.[key]).find(Array.isArray) || [];
+      items.push(...values);
+      startAt += values.length;
+      done = values.length === 0 || page?.isLast === true || startAt >= (page?.total ?? 0);
+    }
+
+    return items;
+  }
+
+  /**
+   * Create a JIRA issue
+   *
+   * Endpoint: POST /rest/api/3/issue
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issues/#api-rest-api-3-issue-post
+   *
+   * @param {Object} fields - Issue fields (project, issuetype, summary, description in ADF, ...)
+   * @returns {Promise<Object>} Created issue { id, key, self } plus its browse URL
+   */
+  async createIssue(fields) {
+    // URL: POST /rest/api/3/issue
+    const created = await this.fetchJson(`${this.apiBase}/issue`, 'Creating JIRA issue', {
+      method: 'POST',
+      body: { fields },
+    });
+
+    return {
+      ...created,
+      url: `https://${this.atlassianDomain}/browse/${created.key}`,
+    };
+  }
+
+  /**
+   * Issue types that can be created in a project
+   *
+   * Endpoint: GET /rest/api/3/issue/createmeta/{projectIdOrKey}/issuetypes
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issues/#api-rest-api-3-issue-createmeta-projectidorkey-issuetypes-get
+   *
+   * @param {string} project - Project key or ID
+   * @returns {Promise<Array>} Issue types ({ id, name, subtask, ... })
+   */
+  async getCreateMetaIssueTypes(project) {
+    return this.fetchAllPages(
+      `${this.apiBase}/issue/createmeta/${encodeURIComponent(project)}/issuetypes`,
+      `Fetching issue types for JIRA project ${project}`,
+      ['issueTypes', 'values'],
+    );
+  }
+
+  /**
+   * Fields on the create screen of a project and issue type
+   *
+   * Endpoint: GET /rest/api/3/issue/createmeta/{projectIdOrKey}/issuetypes/{issueTypeId}
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issues/#api-rest-api-3-issue-createmeta-projectidorkey-issuetypes-issuetypeid-get
+   *
+   * @param {string} project - Project key or ID
+   * @param {string} issueTypeId - Issue type ID
+   * @returns {Promise<Array>} Field metadata ({ fieldId, name, required, schema, allowedValues, hasDefaultValue })
+   */
+  async getCreateMetaFields(project, issueTypeId) {
+    return this.fetchAllPages(
+      `${this.apiBase}/issue/createmeta/${encodeURIComponent(project)}/issuetypes/${issueTypeId}`,
+      `Fetching create fields for JIRA project ${project}`,
+      ['fields', 'values'],
+    );
+  }
+
+  /**
+   * Find users matching an email address, name or display name
+   *
+   * Endpoint: GET /rest/api/3/user/search?query={query}
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-user-search/#api-rest-api-3-user-search-get
+   *
+   * @param {string} query - Email address or (display) name
+   * @returns {Promise<Array>} Matching users ({ accountId, displayName, emailAddress, ... })
+   */
+  async searchUsers(query) {
+    const users = await this.fetchJson(
+      `${this.apiBase}/user/search?query=${encodeURIComponent(query)}&maxResults=20`,
+      `Searching JIRA users for "${query}"`,
+    );
+    return Array.isArray(users) ? users : [];
+  }
+
+  /**
+   * Resolve an account ID, or an exact email address or display name, to { accountId }.
+   * Users found only by a fuzzy search are suggested in the error, never applied.
+   */
+  async resolveUser(value, fieldName) {
+    if (ACCOUNT_ID_PATTERN.test(value)) {
+      return { accountId: value };
+    }
+
+    const users = (await this.searchUsers(value)).filter(user => user.active !== false);
+    const lower = value.toLowerCase();
+    const matches = users.filter(
+      user =>
+        user.emailAddress?.toLowerCase() === lower || user.displayName?.toLowerCase() === lower,
+    );
+    const describe = list => list.map(user => `${user.displayName} (${user.accountId})`).join(', ');
+
+    if (matches.length === 1) {
+      return { accountId: matches[0].accountId };
+    }
+    if (matches.length > 1) {
+      throw new ValidationError(
+        `${fieldName}: "${value}" matches several users: ${describe(matches)}. Use an email address or account ID.`,
+        fieldName,
+      );
+    }
+    if (users.length > 0) {
+      throw new ValidationError(
+        `${fieldName}: no JIRA user has the exact email address or display name "${value}". Did you mean: ${describe(users)}? Use an exact email address, display name or account ID.`,
+        fieldName,
+      );
+    }
+
+    throw new ValidationError(`${fieldName}: no JIRA user matches "${value}"`, fieldName);
+  }
+
+  /**
+   * Match a value against a field's allowedValues by exact ID, or by exact name or value
+   * (case-insensitive), and return { id } for the single match. Partial matches are only
+   * suggested in the error, never applied.
+   */
+  resolveAllowedValue(fieldMeta, value) {
+    if (typeof value === 'object') return value;
+
+    const options = fieldMeta.allowedValues || [];
+    const text = String(value);
+    const lower = text.toLowerCase();
+    const label = option => option.name ?? option.value ?? option.id;
+
+    const byId = options.find(option => option.id === text);
+    if (byId) return { id: byId.id };
+
+    const matches = options.filter(option => String(label(option)).toLowerCase() === lower);
+    if (matches.length === 1) return { id: matches[0].id };
+
+    if (matches.length > 1) {
+      const candidates = matches.map(option => `${label(option)} (ID ${option.id})`).join(', ');
+      throw new ValidationError(
+        `${fieldMeta.name}: "${text}" is ambiguous, it matches ${candidates}. Pass the ID.`,
+        fieldMeta.name,
+      );
+    }
+
+    const partial = options.filter(option => String(label(option)).toLowerCase().includes(lower));
+    if (partial.length > 0) {
+      const candidates = partial.map(option => `${label(option)} (ID ${option.id})`).join(', ');
+      throw new ValidationError(
+        `${fieldMeta.name}: "${text}" is not an exact allowed value. Did you mean: ${candidates}? Pass the exact name or ID.`,
+        fieldMeta.name,
+      );
+    }
+
+    const allowed = options.slice(0, 25).map(label).join(', ');
+    const more = options.length > 25 ? `, ... (${options.length - 25} more)` : '';
+    throw new ValidationError(
+      `${fieldMeta.name}: "${text}" is not an allowed value. Allowed: ${allowed}${more}`,
+      fieldMeta.name,
+    );
+  }
+
+  /**
+   * Convert a caller-friendly value into the shape JIRA expects for a create/edit field,
+   * based on the field's schema and allowed values
+   */
+  async formatMetaFieldValue(fieldMeta, value) {
+    if (value === null || value === undefined) return null;
+
+    const schema = fieldMeta.schema || {};
+    const fieldId = fieldMeta.fieldId || fieldMeta.key;
+
+    const formatItem = async (item, type) => {
+      if (typeof item === 'object') return item;
+      if (type === 'user') return this.resolveUser(String(item), fieldMeta.name);
+      if (fieldMeta.allowedValues) return this.resolveAllowedValue(fieldMeta, item);
+      if (type === 'component' || type === 'version') return { name: String(item) };
+      return item;
+    };
+
+    switch (schema.type) {
+      case 'string':
+        if (
+          typeof value === 'string' &&
+          (ADF_SYSTEM_FIELDS.includes(schema.system) || schema.custom === ADF_CUSTOM_FIELD_TYPE)
+        ) {
+          return this.convertTextToADF(value);
+        }
+        return value;
+      case 'number': {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          throw new ValidationError(`${fieldMeta.name}: "${value}" is not a number`, fieldId);
+        }
+        return number;
+      }
+      case 'array': {
+        const items = Array.isArray(value) ? value : [value];
+        if (schema.items === 'string') return items.map(String);
+        return Promise.all(items.map(item => formatItem(item, schema.items)));
+      }
+      case 'issuelink':
+        // Parent of a sub-task or child issue
+        return typeof value === 'string' ? { key: value } : value;
+      default:
+        return formatItem(value, schema.type);
+    }
+  }
+
+  /**
+   * Find a field's metadata by ID, key or name. Names fall back to the global field list
+   * (getFieldMappings) so a field that exists but is not on the screen gets a specific error.
+   */
+  findFieldMeta(nameOrId, metaFields, fieldMappings, screenLabel) {
+    const lower = nameOrId.toLowerCase();
+    const byId = metaFields.find(f => f.fieldId === nameOrId || f.key === nameOrId);
+    if (byId) return byId;
+
+    const byName = metaFields.filter(f => f.name?.toLowerCase() === lower);
+    if (byName.length === 1) return byName[0];
+    if (byName.length > 1) {
+      throw new ValidationError(
+        `"${nameOrId}" matches several fields (${byName.map(f => f.fieldId || f.key).join(', ')}). Use the field ID instead.`,
+        nameOrId,
+      );
+    }
+
+    const knownId = Object.keys(fieldMappings).find(
+      id => id === nameOrId || fieldMappings[id].name?.toLowerCase() === lower,
+    );
+    if (knownId) {
+      throw new ValidationError(
+        `"${nameOrId}" (${knownId}) is not on the ${screenLabel} screen`,
+        nameOrId,
+      );
+    }
+
+    throw new ValidationError(`Unknown field "${nameOrId}"`, nameOrId);
+  }
+
+  /**
+   * Resolve field names and values against field metadata. Collects every problem
+   * before failing so the caller can fix them in one go.
+   *
+   * @returns {Promise<{fields: Object, resolved: Array<{id: string, name: string}>}>}
+   */
+  async resolveMetaFields(inputFields, metaFields, fieldMappings, screenLabel) {
+    const fields = {};
+    const resolved = [];
+    const problems = [];
+
+    for (const [nameOrId, value] of Object.entries(inputFields)) {
+      try {
+        const fieldMeta = this.findFieldMeta(nameOrId, metaFields, fieldMappings, screenLabel);
+        const fieldId = fieldMeta.fieldId || fieldMeta.key;
+        fields[fieldId] = await this.formatMetaFieldValue(fieldMeta, value);
+        resolved.push({ id: fieldId, name: fieldMeta.name });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        problems.push(error.message);
+      }
+    }
+
+    if (problems.length > 0) {
+      const available = metaFields.map(f => f.name).join(', ') || 'none';
+      throw new ValidationError(
+        `Could not resolve fields for the ${screenLabel} screen:\n- ${problems.join('\n- ')}\n\nAvailable fields: ${available}`,
+      );
+    }
+
+    return { fields, resolved };
+  }
+
+  /**
+   * Required fields without a default value that have not been given
+   */
+  findMissingRequiredFields(metaFields, fields, ignoredFieldIds = []) {
+    return metaFields.filter(f => {
+      const fieldId = f.fieldId || f.key;
+      return (
+        f.required &&
+        !f.hasDefaultValue &&
+        !ignoredFieldIds.includes(fieldId) &&
+        (fields[fieldId] === undefined || fields[fieldId] === null)
+      );
+    });
+  }
+
+  /**
+   * Create an issue from field names or IDs, validated against createmeta for the
+   * project and issue type
+   *
+   * @param {string} project - Project key or ID
+   * @param {string} issueType - Issue type name or ID
+   * @param {Object} inputFields - { fieldNameOrId: value }, e.g. { "Story Points": 3 }
+   * @returns {Promise<Object>} Created issue with its issue type and the fields that were set
+   */
+  async createJiraIssue(project, issueType, inputFields) {
+    const issueTypes = await this.getCreateMetaIssueTypes(project);
+    const type = issueTypes.find(
+      t => t.id === issueType || t.name?.toLowerCase() === issueType.toLowerCase(),
+    );
+    if (!type) {
+      throw new ValidationError(
+        `Issue type "${issueType}" is not available in project ${project}. Valid issue types: ${issueTypes.map(t => t.name).join(', ')}`,
+        'issueType',
+      );
+    }
+
+    const metaFields = await this.getCreateMetaFields(project, type.id);
+
+    let fieldMappings = {};
+    try {
+      fieldMappings = await this.getFieldMappings();
+    } catch (mappingError) {
+      console.warn(
+        'Could not load field mappings, matching on screen fields only:',
+        mappingError.message,
+      );
+    }
+
+    const screenLabel = `${project} ${type.name} create`;
+    const { fields, resolved } = await this.resolveMetaFields(
+      inputFields,
+      metaFields,
+      fieldMappings,
+      screenLabel,
+    );
+
+    const missing = this.findMissingRequiredFields(metaFields, fields, ['project', 'issuetype']);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Missing required fields for ${type.name} in ${project}: ${missing.map(f => `${f.name} (${f.fieldId || f.key})`).join(', ')}`,
+      );
+    }
+
+    const created = await this.createIssue({
+      ...fields,
+      project: /^\d+$/.test(project) ? { id: project } : { key: project },
+      issuetype: { id: type.id },
+    });
+
+    return { ...created, issueType: type.name, fields: resolved };
+  }
+
+  /**
+   * Add a remote (web) link to an issue. The URL is used as the global ID, so linking
+   * the same URL twice updates the existing link instead of adding a duplicate.
+   *
+   * Endpoint: POST /rest/api/3/issue/{issueIdOrKey}/remotelink
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issue-remote-links/#api-rest-api-3-issue-issueidorkey-remotelink-post
+   *
+   * @param {string} ticketKey - JIRA issue key
+   * @param {string} url - Link target
+   * @param {string} title - Link text
+   * @returns {Promise<Object>} Remote link { id, self }
+   */
+  async addRemoteLink(ticketKey, url, title) {
+    return this.fetchJson(
+      `${this.apiBase}/issue/${encodeURIComponent(ticketKey)}/remotelink`,
+      `Adding remote link to ${ticketKey}`,
+      {
+        method: 'POST',
+        body: {
+          globalId: url,
+          object: {
+            url,
+            title,
+            icon: { url16x16: 'https://sentry.io/favicon.ico', title: 'Sentry' },
+          },
+        },
+      },
+    );
+  }
+
+  /**
+   * Map field names or IDs to field IDs using the global field list. Unknown entries are
+   * passed through unchanged so JIRA can still accept system fields such as "key".
+   *
+   * @param {string[]} namesOrIds - e.g. ['status', 'Story Points']
+   * @returns {Promise<Array<{id: string, name: string}>>}
+   */
+  async resolveFieldIds(namesOrIds) {
+    let fieldMappings = {};
+    try {
+      fieldMappings = await this.getFieldMappings();
+    } catch (mappingError) {
+      console.warn(
+        'Could not load field mappings, using field names as given:',
+        mappingError.message,
+      );
+    }
+
+    return namesOrIds.map(nameOrId => {
+      if (fieldMappings[nameOrId]) {
+        return { id: nameOrId, name: fieldMappings[nameOrId].name };
+      }
+      const lower = nameOrId.toLowerCase();
+      const id = Object.keys(fieldMappings).find(
+        fieldId => fieldMappings[fieldId].name?.toLowerCase() === lower,
+      );
+      return id ? { id, name: fieldMappings[id].name } : { id: nameOrId, name: nameOrId };
+    });
+  }
+
+  /**
+   * Search issues with JQL
+   *
+   * Endpoint: POST /rest/api/3/search/jql (token pagination)
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issue-search/#api-rest-api-3-search-jql-post
+   *
+   * Jira Cloud only pages this endpoint by token; the offset-based /rest/api/3/search
+   * endpoint has been removed.
+   *
+   * @param {Object} options - { jql, fields, maxResults, nextPageToken }
+   * @returns {Promise<Object>} { issues, nextPageToken, isLast }
+   */
+  async searchIssues({ jql, fields, maxResults = 25, nextPageToken }) {
+    const page = await this.fetchJson(`${this.apiBase}/search/jql`, 'Searching JIRA issues', {
+      method: 'POST',
+      body: { jql, fields, maxResults, ...(nextPageToken ? { nextPageToken } : {}) },
+    });
+    return {
+      issues: page?.issues || [],
+      nextPageToken: page?.nextPageToken || null,
+      isLast: page?.isLast ?? !page?.nextPageToken,
+    };
+  }
+
+  /**
+   * Add a comment written in Markdown to an issue
+   *
+   * Endpoint: POST /rest/api/3/issue/{issueIdOrKey}/comment
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issue-comments/#api-rest-api-3-issue-issueidorkey-comment-post
+   *
+   * @param {string} ticketKey - JIRA issue key
+   * @param {string} markdown - Comment text in Markdown, converted to ADF
+   * @param {Object} visibility - Optional { type: 'role' | 'group', value } restriction
+   * @returns {Promise<Object>} Created comment ({ id, created, author, ... }) plus its URL
+   */
+  async addComment(ticketKey, markdown, visibility = null) {
+    const comment = await this.fetchJson(
+      `${this.apiBase}/issue/${encodeURIComponent(ticketKey)}/comment`,
+      `Adding comment to ${ticketKey}`,
+      {
+        method: 'POST',
+        body: {
+          body: JiraFormatter.markdownToADF(markdown),
+          ...(visibility ? { visibility } : {}),
+        },
+      },
+    );
+
+    return {
+      ...comment,
+      url: `https://${this.atlassianDomain}/browse/${ticketKey}?focusedCommentId=${comment.id}`,
+    };
+  }
+
+  /**
+   * Transitions available for an issue in its current status, with their screen fields
+   *
+   * Endpoint: GET /rest/api/3/issue/{issueIdOrKey}/transitions?expand=transitions.fields
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issues/#api-rest-api-3-issue-issueidorkey-transitions-get
+   *
+   * @param {string} ticketKey - JIRA issue key
+   * @returns {Promise<Array>} Transitions ({ id, name, to, hasScreen, fields: [{ fieldId, name, required, ... }] })
+   */
+  async getTransitions(ticketKey) {
+    const response = await this.fetchJson(
+      `${this.apiBase}/issue/${encodeURIComponent(ticketKey)}/transitions?expand=transitions.fields`,
+      `Fetching transitions for ${ticketKey}`,
+    );
+
+    // Screen fields come keyed by field ID; flatten them like createmeta fields
+    return (response?.transitions || []).map(transition => ({
+      ...transition,
+      fields: Object.entries(transition.fields || {}).map(([fieldId, meta]) => ({
+        fieldId,
+        ...meta,
+      })),
+    }));
+  }
+
+  /**
+   * Pick a transition by ID, name or target status name (case-insensitive)
+   */
+  findTransition(transitions, transition, ticketKey) {
+    const lower = transition.toLowerCase();
+    const match =
+      transitions.find(t => t.id === transition) ||
+      transitions.find(t => t.name?.toLowerCase() === lower);
+    if (match) return match;
+
+    const byStatus = transitions.filter(t => t.to?.name?.toLowerCase() === lower);
+    if (byStatus.length === 1) return byStatus[0];
+
+    const valid = transitions
+      .map(t => `${t.name} (ID ${t.id}${t.to?.name ? ` -> ${t.to.name}` : ''})`)
+      .join(', ');
+    const problem =
+      byStatus.length > 1
+        ? `Several transitions lead to "${transition}"`
+        : `"${transition}" is not an available transition for ${ticketKey}`;
+    throw new ValidationError(
+      `${problem}. Valid transitions: ${valid || 'none in the current status'}`,
+      'transition',
+    );
+  }
+
+  /**
+   * Move an issue through its workflow, optionally setting screen fields and adding a comment
+   *
+   * Endpoint: POST /rest/api/3/issue/{issueIdOrKey}/transitions
+   * Reference: https://developer.atlassian.com/cloud/jira/platform/rest/v3/api-group-issues/#api-rest-api-3-issue-issueidorkey-transitions-post
+   *
+   * @param {string} ticketKey - JIRA issue key
+   * @param {string} transition - Transition ID, name or target status name
+   * @param {Object} options - { fields: { fieldNameOrId: value }, comment: Markdown }
+   * @returns {Promise<Object>} { ticketKey, transition, toStatus, fields, commented }
+   */
+  async transitionIssue(ticketKey, transition, { fields: inputFields = {}, comment } = {}) {
+    const transitions = await this.getTransitions(ticketKey);
+    const selected = this.findTransition(transitions, transition, ticketKey);
+
+    let fieldMappings = {};
+    if (Object.keys(inputFields).length > 0) {
+      try {
+        fieldMappings = await this.getFieldMappings();
+      } catch (mappingError) {
+        console.warn(
+          'Could not load field mappings, matching on screen fields only:',
+          mappingError.message,
+        );
+      }
+    }
+
+    const { fields, resolved } = await this.resolveMetaFields(
+      inputFields,
+      selected.fields,
+      fieldMappings,
+      `"${selected.name}" transition`,
+    );
+
+    const missing = this.findMissingRequiredFields(selected.fields, fields);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Transition "${selected.name}" requires: ${missing.map(f => `${f.name} (${f.fieldId})`).join(', ')}`,
+      );
+    }
+
+    const body = { transition: { id: selected.id } };
+    if (resolved.length > 0) body.fields = fields;
+    if (comment) {
+      body.update = { comment: [{ add: { body: JiraFormatter.markdownToADF(comment) } }] };
+    }
+
+    await this.fetchJson(
+      `${this.apiBase}/issue/${encodeURIComponent(ticketKey)}/transitions`,
+      `Transitioning ${ticketKey}`,
+      { method: 'POST', body },
+    );
+
+    return {
+      ticketKey,
+      transition: { id: selected.id, name: selected.name },
+      toStatus: selected.to?.name || null,
+      fields: resolved,
+      commented: Boolean(comment),
+    };
+  }
 }
 
 module.exports = JiraService;
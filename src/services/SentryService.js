@@ -1,5 +1,9 @@
 const fetch = require('node-fetch');
 const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { APIError, RateLimitError } = require('../utils/ErrorHandler');
+
+// Sentry caps list endpoints at 100 results per page
+const MAX_ISSUES_PAGE_SIZE = 100;
 
 class SentryService {
   constructor(token, domain = 'sentry.io') {
@@ -23,24 +27,107 @@ class SentryService {
     };
   }
 
-  async fetchJson(url, description = 'API call') {
+  async sendRequest(url, description, options = {}) {
+    // allowedStatuses: error statuses the caller handles itself instead of failing
+    const { method = 'GET', body, allowedStatuses = [] } = options;
+
+    const response = await fetch(url, {
+      method,
+      headers: this.headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      timeout: 30000,
+    });
+
+    if (!response.ok && !allowedStatuses.includes(response.status)) {
+      const message = `${description} failed: ${response.status} ${response.statusText}`;
+      if (response.status === 429) {
+        throw new RateLimitError(message, 'Sentry', response.headers.get('retry-after'));
+      }
+      throw new APIError(message, response.status, 'Sentry');
+    }
+
+    return response;
+  }
+
+  async fetchJson(url, description = 'API call', options = {}) {
     try {
-      const response = await fetch(url, {
-        headers: this.headers,
-        timeout: 30000,
-      });
+      const response = await this.sendRequest(url, description, options);
 
-      if (!response.ok) {
-        throw new Error(`${description} failed: ${response.status} ${response.statusText}`);
+      // Some write endpoints respond with no content
+      if (response.status === 204) {
+        return null;
       }
 
       const json = await response.json();
       return json;
     } catch (error) {
+      // HTTP errors keep their status so callers can tell client from server errors
+      if (error instanceof APIError) throw error;
+      throw new Error(`${description}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch a paginated list endpoint, keeping the cursors from the Link header
+   *
+   * Reference: https://docs.sentry.io/api/pagination/
+   *
+   * @param {string} url - Request URL
+   * @param {string} description - Description used in error messages
+   * @returns {Promise<{data: Array, pagination: Object}>} Page data and cursor information;
+   *   pagination.total is the X-Hits match count on endpoints that send it, otherwise null
+   */
+  async fetchJsonPage(url, description = 'API call') {
+    try {
+      const response = await this.sendRequest(url, description);
+      const data = await response.json();
+      const hits = response.headers.get('x-hits');
+      return {
+        data,
+        pagination: {
+          ...this.parseLinkHeader(response.headers.get('link')),
+          total: hits !== null && hits !== '' ? Number(hits) : null,
+        },
+      };
+    } catch (error) {
+      if (error instanceof APIError) throw error;
       throw new Error(`${description}: ${error.message}`);
     }
   }
 
+  /**
+   * Parse Sentry's Link header, e.g.
+   * <https://sentry.io/api/0/...&cursor=0:100:0>; rel="next"; results="true"; cursor="0:100:0"
+   *
+   * @param {string|null} header - Raw Link header value
+   * @returns {Object} nextCursor, previousCursor and hasMore
+   */
+  parseLinkHeader(header) {
+    const pagination = { nextCursor: null, previousCursor: null, hasMore: false };
+    if (!header) return pagination;
+
+    const links = header.match(/<[^>]*>(\s*;\s*\w+="[^"]*")+/g) || [];
+    links.forEach(link => {
+      const rel = link.match(/rel="(\w+)"/)?.[1];
+      const hasResults = link.match(/results="(\w+)"/)?.[1] === 'true';
+      const cursor = link.match(/cursor="([^"]+)"/)?.[1] || null;
+
+      if (rel === 'next') {
+        pagination.nextCursor = hasResults ? cursor : null;
+        pagination.hasMore = hasResults;
+      } else if (rel === 'previous') {
+        pagination.previousCursor = hasResults ? cursor : null;
+      }
+    });
+
+    return pagination;
+  }
+
+  // Remove 'Z' suffix from dates for Sentry API compatibility
+  formatDateForSentry(dateStr) {
+    return dateStr ? dateStr.replace(/Z$/, '') : dateStr;
+  }
+
   /**
    * List organizations available to the authenticated user
    *
@@ -100,6 +187,68 @@ class SentryService {
    * @returns {Promise<Array>} Array of issue objects
    */
   async getSentryIssuesList(organization, options = {}) {
+    const { data } = await this.getSentryIssuesPage(organization, options);
+    return data;
+  }
+
+  /**
+   * Fetch a single page of issues together with its pagination cursors
+   *
+   * Same endpoint and options as getSentryIssuesList. Sentry returns at most
+   * 100 issues per page regardless of the requested limit.
+   *
+   * @param {string} organization - Organization slug
+   * @param {Object} options - Filter and search options
+   * @returns {Promise<{data: Array, pagination: Object}>} Issues page and cursor information
+   */
+  async getSentryIssuesPage(organization, options = {}) {
+    const params = this.buildIssuesQueryParams(options);
+
+    // Use organization-level issues endpoint
+    // URL: GET /api/0/organizations/{organization_slug}/issues/?{params}
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/issues/?${params}`;
+    return await this.fetchJsonPage(url, 'Fetching issues');
+  }
+
+  /**
+   * Follow next cursors until `limit` issues are collected or no pages remain
+   *
+   * @param {string} organization - Organization slug
+   * @param {Object} options - Filter and search options (limit is the total across pages)
+   * @returns {Promise<{data: Array, pagination: Object, pages: number}>} Collected issues,
+   *   pagination of the last page fetched and the number of pages requested
+   */
+  async getAllSentryIssues(organization, options = {}) {
+    const { limit = 10 } = options;
+    const issues = [];
+    let cursor = options.cursor;
+    let pagination;
+    let pages = 0;
+
+    do {
+      const pageLimit = Math.min(MAX_ISSUES_PAGE_SIZE, limit - issues.length);
+      const page = await this.getSentryIssuesPage(organization, {
+        ...options,
+        limit: pageLimit,
+        cursor,
+      });
+
+      issues.push(...page.data);
+      pagination = page.pagination;
+      cursor = pagination.nextCursor;
+      pages++;
+    } while (pagination.hasMore && cursor && issues.length < limit);
+
+    return { data: issues, pagination, pages };
+  }
+
+  /**
+   * Build the search parameters shared by issue listing and bulk mutation
+   *
+   * @param {Object} options - Filter and search options (see getSentryIssuesList)
+   * @returns {URLSearchParams} Query parameters for the organization issues endpoint
+   */
+  buildIssuesQueryParams(options = {}) {
     const {
       project, // Can be array of project IDs or single project ID
       dateFrom,
@@ -170,13 +319,8 @@ class SentryService {
         endDate = endDate || range.endDate;
       }
 
-      // Remove 'Z' suffix from dates for Sentry API compatibility
-      const formatDateForSentry = dateStr => {
-        return dateStr ? dateStr.replace(/Z$/, '') : dateStr;
-      };
-
-      params.append('start', formatDateForSentry(startDate));
-      params.append('end', formatDateForSentry(endDate));
+      params.append('start', this.formatDateForSentry(startDate));
+      params.append('end', this.formatDateForSentry(endDate));
     }
 
     // Add groupStatsPeriod if provided
@@ -215,10 +359,32 @@ class SentryService {
     // Add shortIdLookup
     params.append('shortIdLookup', '1');
 
-    // Use organization-level issues endpoint
-    // URL: GET /api/0/organizations/{organization_slug}/issues/?{params}
+    return params;
+  }
+
+  /**
+   * Bulk update the status, assignment or flags of several issues at once
+   *
+   * Endpoint: PUT /api/0/organizations/{organization_slug}/issues/?id={issue_id}&id=...
+   * Reference: https://docs.sentry.io/api/events/bulk-mutate-an-organizations-issues/
+   *
+   * Accepts the same body fields as updateIssue. Sentry applies the change to every
+   * listed issue and responds with the applied fields, not a per-issue result.
+   *
+   * @param {string} organization - Organization slug
+   * @param {Array<number|string>} issueIds - Numeric issue IDs (max 1000 per request)
+   * @param {Object} updates - Fields to update, in Sentry's request body format
+   * @returns {Promise<Object|null>} Applied update fields
+   */
+  async bulkUpdateIssues(organization, issueIds, updates) {
+    const params = new URLSearchParams();
+    issueIds.forEach(id => params.append('id', id.toString()));
+
     const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/issues/?${params}`;
-    return await this.fetchJson(url, 'Fetching issues');
+    return this.fetchJson(url, `Bulk updating ${issueIds.length} issues`, {
+      method: 'PUT',
+      body: updates,
+    });
   }
 
   getPreviousWeekRange() {
@@ -276,6 +442,21 @@ class SentryService {
     return response;
   }
 
+  /**
+   * Resolve a short ID (e.g. "PROJ-1AB") to its issue
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/shortids/{short_id}/
+   * Reference: https://docs.sentry.io/api/organizations/resolve-a-short-id/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} shortId - Issue short ID
+   * @returns {Promise<Object>} Object with groupId, projectSlug and the issue as group
+   */
+  async resolveShortId(organization, shortId) {
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/shortids/${encodeURIComponent(shortId)}/`;
+    return this.fetchJson(url, `Resolving short ID ${shortId}`);
+  }
+
   /**
    * Retrieve the latest event for a specific issue
    *
@@ -316,6 +497,50 @@ class SentryService {
     return response;
   }
 
+  /**
+   * Retrieve totals for one tag key of an issue
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/issues/{issue_id}/tags/{key}/
+   * Reference: https://docs.sentry.io/api/events/retrieve-tag-details/
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {string} key - Tag key (e.g., "customer_id", "url")
+   * @param {string} environment - Environment filter (optional)
+   * @returns {Promise<Object>} Tag details: key, totalValues, uniqueValues, topValues
+   */
+  async getIssueTagDetails(organization, issueId, key, environment) {
+    const params = new URLSearchParams();
+    if (environment) params.append('environment', environment);
+
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/tags/${encodeURIComponent(key)}/?${params}`;
+    return this.fetchJson(url, `Fetching tag ${key} for issue ${issueId}`);
+  }
+
+  /**
+   * List every value of one tag key of an issue, most frequent first
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/issues/{issue_id}/tags/{key}/values/
+   * Reference: https://docs.sentry.io/api/events/list-a-tags-values-related-to-an-issue/
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {string} key - Tag key
+   * @param {Object} options - environment, limit, cursor
+   * @returns {Promise<{data: Array, pagination: Object}>} Values (value, count, firstSeen, lastSeen) and cursors
+   */
+  async getIssueTagValues(organization, issueId, key, options = {}) {
+    const { environment, limit, cursor } = options;
+
+    const params = new URLSearchParams({ sort: '-count' });
+    if (environment) params.append('environment', environment);
+    if (limit) params.append('per_page', limit.toString());
+    if (cursor) params.append('cursor', cursor);
+
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/tags/${encodeURIComponent(key)}/values/?${params}`;
+    return this.fetchJsonPage(url, `Fetching values of tag ${key} for issue ${issueId}`);
+  }
+
   /**
    * Retrieve a specific event for an issue
    *
@@ -324,21 +549,550 @@ class SentryService {
    *
    * @param {string} organization - Organization slug
    * @param {string} environment - Environment filter (optional)
-   * @param {string} event_id - Event ID
+   * @param {string} event_id - Event ID, or "latest", "oldest", "recommended"
    * @param {number} issue_id - Issue ID
    * @returns {Promise<Object>} Event object with full details
    */
   async getIssueEvents(organization, environment, event_id, issue_id) {
+    const params = new URLSearchParams();
+    if (environment) {
+      params.append('environment', environment);
+    }
+    const query = params.toString() ? `?${params}` : '';
+
     const response = await this.fetchJson(
-      `${this.sentryApiBase}/organizations/${organization}/issues/${issue_id}/events/${event_id}/`,
-      {
-        params: {
-          environment,
-        },
-      },
+      `${this.sentryApiBase}/organizations/${organization}/issues/${issue_id}/events/${encodeURIComponent(event_id)}/${query}`,
+      `Fetching event ${event_id} for issue ${issue_id}`,
     );
     return response;
   }
+
+  /**
+   * List events for a specific issue, one page at a time
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/issues/{issue_id}/events/
+   * Reference: https://docs.sentry.io/api/events/list-an-issues-events/
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {Object} options - environment, statsPeriod, dateFrom, dateTo, query, cursor, limit, full
+   * @returns {Promise<{data: Array, pagination: Object}>} Events page and cursor information
+   */
+  async getIssueEventsList(organization, issueId, options = {}) {
+    const { environment, statsPeriod, dateFrom, dateTo, query, cursor, limit, full } = options;
+
+    const params = new URLSearchParams();
+
+    if (statsPeriod) {
+      params.append('statsPeriod', statsPeriod);
+    } else {
+      if (dateFrom) params.append('start', this.formatDateForSentry(dateFrom));
+      if (dateTo) params.append('end', this.formatDateForSentry(dateTo));
+    }
+
+    if (environment) {
+      (Array.isArray(environment) ? environment : [environment]).forEach(env =>
+        params.append('environment', env),
+      );
+    }
+
+    if (query) params.append('query', query);
+    if (cursor) params.append('cursor', cursor);
+    if (limit) params.append('per_page', limit.toString());
+    if (full) params.append('full', 'true');
+
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/events/?${params}`;
+    return this.fetchJsonPage(url, `Fetching events for issue ${issueId}`);
+  }
+
+  /**
+   * Retrieve event and unique user counts for an issue, bucketed over time
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/events-stats/
+   * Reference: https://docs.sentry.io/api/discover/retrieve-event-counts-for-an-organization-v2/
+   *
+   * Requests both count() and count_unique(user) for query issue.id:{issue_id}, so the
+   * response is keyed by y-axis: { "count()": { data: [[timestamp, [{ count }]], ...] }, ... }
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {Object} options - project, environment, statsPeriod, dateFrom, dateTo, interval
+   * @returns {Promise<Object>} Timeseries keyed by y-axis
+   */
+  async getIssueEventsStats(organization, issueId, options = {}) {
+    const { project, environment, statsPeriod, dateFrom, dateTo, interval } = options;
+
+    const params = new URLSearchParams({
+      query: `issue.id:${issueId}`,
+      interval,
+    });
+    params.append('yAxis', 'count()');
+    params.append('yAxis', 'count_unique(user)');
+
+    if (statsPeriod) {
+      params.append('statsPeriod', statsPeriod);
+    } else {
+      params.append('start', this.formatDateForSentry(dateFrom));
+      params.append('end', this.formatDateForSentry(dateTo));
+    }
+
+    if (project) {
+      params.append('project', project.toString());
+    }
+
+    if (environment) {
+      (Array.isArray(environment) ? environment : [environment]).forEach(env =>
+        params.append('environment', env),
+      );
+    }
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/events-stats/?${params}`;
+    return this.fetchJson(url, `Fetching event stats for issue ${issueId}`);
+  }
+
+  /**
+   * List the IDs of session replays that captured an issue
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/replay-count/
+   *
+   * With returnIds=true the response maps each issue ID to its replay IDs:
+   * { "5829644011": ["b1e2...", ...] }
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {string} statsPeriod - Lookback period (replays are kept for 90 days)
+   * @returns {Promise<Array<string>>} Replay IDs
+   */
+  async getIssueReplayIds(organization, issueId, statsPeriod = '90d') {
+    const params = new URLSearchParams({
+      query: `issue.id:[${issueId}]`,
+      returnIds: 'true',
+      data_source: 'discover',
+      statsPeriod,
+    });
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/replay-count/?${params}`;
+    const counts = await this.fetchJson(url, `Fetching replays for issue ${issueId}`);
+    return counts?.[issueId] || [];
+  }
+
+  /**
+   * List session replays by ID
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/replays/
+   * Reference: https://docs.sentry.io/api/replays/list-an-organizations-replays/
+   *
+   * @param {string} organization - Organization slug
+   * @param {Array<string>} replayIds - Replay IDs
+   * @param {string} statsPeriod - Lookback period
+   * @returns {Promise<Array>} Replay objects (duration in seconds, urls, user, count_errors, ...)
+   */
+  async getReplays(organization, replayIds, statsPeriod = '90d') {
+    const params = new URLSearchParams({
+      query: `id:[${replayIds.join(',')}]`,
+      statsPeriod,
+      sort: '-started_at',
+      per_page: replayIds.length.toString(),
+    });
+    [
+      'id',
+      'project_id',
+      'started_at',
+      'finished_at',
+      'duration',
+      'urls',
+      'user',
+      'count_errors',
+      'browser',
+      'os',
+      'device',
+    ].forEach(field => params.append('field', field));
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/replays/?${params}`;
+    const response = await this.fetchJson(url, 'Fetching replays');
+    return response?.data || [];
+  }
+
+  /**
+   * Retrieve a single session replay
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/replays/{replay_id}/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} replayId - Replay ID
+   * @returns {Promise<Object>} Replay object
+   */
+  async getReplay(organization, replayId) {
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/replays/${replayId}/`;
+    const response = await this.fetchJson(url, `Fetching replay ${replayId}`);
+    return response?.data || null;
+  }
+
+  /**
+   * Download the recording of a replay (rrweb events, including breadcrumbs)
+   *
+   * Endpoint: GET /api/0/projects/{organization_slug}/{project_slug}/replays/{replay_id}/recording-segments/
+   * Reference: https://docs.sentry.io/api/replays/list-recording-segments/
+   *
+   * With download=true every segment is returned as an array of rrweb events.
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} projectSlug - Project slug
+   * @param {string} replayId - Replay ID
+   * @returns {Promise<Array<Array>>} Recording segments
+   */
+  async getReplayRecordingSegments(organization, projectSlug, replayId) {
+    const params = new URLSearchParams({ download: 'true', per_page: '100' });
+    const url = `${this.apiBase}/projects/${encodeURIComponent(organization)}/${encodeURIComponent(projectSlug)}/replays/${replayId}/recording-segments/?${params}`;
+    return this.fetchJson(url, `Fetching recording of replay ${replayId}`);
+  }
+
+  /**
+   * Retrieve the activity feed of an issue (notes, status changes, assignments, ...)
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/issues/{issue_id}/activities/
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @returns {Promise<Array>} Activity items (type, user, dateCreated, data), newest first
+   */
+  async getIssueActivity(organization, issueId) {
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/activities/`;
+    const response = await this.fetchJson(url, `Fetching activity for issue ${issueId}`);
+    return response?.activity || [];
+  }
+
+  /**
+   * Post a note (comment) on an issue
+   *
+   * Endpoint: POST /api/0/organizations/{organization_slug}/issues/{issue_id}/comments/
+   *
+   * Notes support Markdown and @mentions. Requires a token with event:write scope.
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {string} text - Note text
+   * @returns {Promise<Object>} The created activity item of type "note"
+   */
+  async addIssueNote(organization, issueId, text) {
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/comments/`;
+    return this.fetchJson(url, `Adding note to issue ${issueId}`, {
+      method: 'POST',
+      body: { text },
+    });
+  }
+
+  /**
+   * List the integrations installed in an organization
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/integrations/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} providerKey - Optional provider filter (e.g., 'jira')
+   * @returns {Promise<Array>} Integrations ({ id, name, domainName, status, provider: { key } })
+   */
+  async getIntegrations(organization, providerKey = null) {
+    const params = providerKey ? `?provider_key=${encodeURIComponent(providerKey)}` : '';
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/integrations/${params}`;
+    const response = await this.fetchJson(url, 'Fetching integrations');
+    return Array.isArray(response) ? response : [];
+  }
+
+  /**
+   * Link an existing external issue (e.g. a Jira ticket) to an issue through an integration
+   *
+   * Endpoint: PUT /api/0/organizations/{organization_slug}/issues/{issue_id}/integrations/{integration_id}/
+   *
+   * The link shows up in the issue's annotations. For Jira the external issue is the ticket key.
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {string} integrationId - Integration ID from getIntegrations
+   * @param {string} externalIssue - External issue identifier (e.g., 'PROJ-123')
+   * @returns {Promise<Object>} Linked external issue ({ id, key, url, title, displayName })
+   */
+  async linkExternalIssue(organization, issueId, integrationId, externalIssue) {
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/integrations/${integrationId}/`;
+    return this.fetchJson(url, `Linking ${externalIssue} to issue ${issueId}`, {
+      method: 'PUT',
+      body: { externalIssue },
+    });
+  }
+
+  /**
+   * Update the status, assignment or flags of a specific issue
+   *
+   * Endpoint: PUT /api/0/organizations/{organization_slug}/issues/{issue_id}/
+   * Reference: https://docs.sentry.io/api/events/update-an-issue/
+   *
+   * Supported body fields:
+   * - status: resolved, resolvedInNextRelease, unresolved, ignored
+   * - statusDetails: inRelease, ignoreDuration, ignoreCount, ignoreWindow, ignoreUserCount, ignoreUserWindow
+   * - assignedTo: "user:<id>", "team:<id>", username/email, or empty string to unassign
+   * - hasSeen, isBookmarked
+   *
+   * @param {string} organization - Organization slug
+   * @param {number} issueId - Numeric issue ID
+   * @param {Object} updates - Fields to update, in Sentry's request body format
+   * @returns {Promise<Object>} Updated issue fields
+   */
+  async updateIssue(organization, issueId, updates) {
+    const url = `${this.sentryApiBase}/organizations/${encodeURIComponent(organization)}/issues/${issueId}/`;
+    return this.fetchJson(url, `Updating issue ${issueId}`, {
+      method: 'PUT',
+      body: updates,
+    });
+  }
+
+  /**
+   * List releases in an organization, newest first
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/releases/
+   * Reference: https://docs.sentry.io/api/releases/list-an-organizations-releases/
+   *
+   * @param {string} organization - Organization slug
+   * @param {Object} options - project, environment, query (version substring), limit, cursor
+   * @returns {Promise<{data: Array, pagination: Object}>} Releases page and cursor information
+   */
+  async getReleases(organization, options = {}) {
+    const { project, environment, query, limit, cursor } = options;
+
+    const params = new URLSearchParams();
+
+    if (project) params.append('project', project.toString());
+    if (environment) {
+      (Array.isArray(environment) ? environment : [environment]).forEach(env =>
+        params.append('environment', env),
+      );
+    }
+    if (query) params.append('query', query);
+    if (limit) params.append('per_page', limit.toString());
+    if (cursor) params.append('cursor', cursor);
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/releases/?${params}`;
+    return this.fetchJsonPage(url, 'Fetching releases');
+  }
+
+  /**
+   * Retrieve a single release
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/releases/{version}/
+   * Reference: https://docs.sentry.io/api/releases/retrieve-an-organizations-release/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} version - Release version
+   * @param {string|null} project - Numeric project ID to scope project-level counts (optional)
+   * @returns {Promise<Object>} Release object
+   */
+  async getRelease(organization, version, project = null) {
+    const params = new URLSearchParams();
+    if (project) params.append('project', project.toString());
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/releases/${encodeURIComponent(version)}/?${params}`;
+    return this.fetchJson(url, `Fetching release ${version}`);
+  }
+
+  /**
+   * List the deploys of a release
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/releases/{version}/deploys/
+   * Reference: https://docs.sentry.io/api/releases/list-a-releases-deploys/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} version - Release version
+   * @returns {Promise<Array>} Deploy objects (environment, dateStarted, dateFinished, name, url)
+   */
+  async getReleaseDeploys(organization, version) {
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/releases/${encodeURIComponent(version)}/deploys/`;
+    return this.fetchJson(url, `Fetching deploys for release ${version}`);
+  }
+
+  /**
+   * Retrieve release health totals (sessions, users and crash-free rates) for a release
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/sessions/
+   * Reference: https://docs.sentry.io/api/releases/retrieve-release-health-session-statistics/
+   *
+   * Only returns data for projects sending sessions (release health enabled in the SDK).
+   * The sessions API looks back at most 90 days.
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} version - Release version
+   * @param {Object} options - project, environment, statsPeriod (default "90d")
+   * @returns {Promise<Object>} Sessions response: { groups: [{ by, totals, series }], intervals }
+   */
+  async getReleaseSessions(organization, version, options = {}) {
+    const { project, environment, statsPeriod = '90d' } = options;
+
+    const params = new URLSearchParams({
+      query: `release:"${version}"`,
+      statsPeriod,
+      interval: '1d',
+    });
+    [
+      'sum(session)',
+      'count_unique(user)',
+      'crash_free_rate(session)',
+      'crash_free_rate(user)',
+    ].forEach(field => params.append('field', field));
+
+    if (project) params.append('project', project.toString());
+    if (environment) {
+      (Array.isArray(environment) ? environment : [environment]).forEach(env =>
+        params.append('environment', env),
+      );
+    }
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/sessions/?${params}`;
+    return this.fetchJson(url, `Fetching release health for ${version}`);
+  }
+
+  /**
+   * Retrieve the suspect commits and their authors for an event
+   *
+   * Endpoint: GET /api/0/projects/{organization_slug}/{project_slug}/events/{event_id}/committers/
+   *
+   * Sentry answers 404 with a `detail` message when the event has no commit data (no
+   * repository integration, or no commits associated with the release). That response
+   * is returned as-is instead of throwing so callers can explain why nothing was found.
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} projectSlug - Project slug
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} { committers: [{ author, commits: [...] }] } or { detail }
+   */
+  async getEventCommitters(organization, projectSlug, eventId) {
+    const url = `${this.apiBase}/projects/${encodeURIComponent(organization)}/${encodeURIComponent(projectSlug)}/events/${eventId}/committers/`;
+    return this.fetchJson(url, `Fetching suspect commits for event ${eventId}`, {
+      allowedStatuses: [404],
+    });
+  }
+
+  /**
+   * List the repositories connected to an organization through an integration
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/repos/
+   * Reference: https://docs.sentry.io/api/organizations/list-an-organizations-repositories/
+   *
+   * @param {string} organization - Organization slug
+   * @returns {Promise<Array>} Repository objects (name, provider, status)
+   */
+  async getRepositories(organization) {
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/repos/`;
+    return this.fetchJson(url, 'Fetching repositories');
+  }
+
+  /**
+   * List the files changed by the commits of a release
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/releases/{version}/commitfiles/
+   * Reference: https://docs.sentry.io/api/releases/retrieve-files-changed-in-a-releases-commits/
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} version - Release version
+   * @returns {Promise<Array>} File changes (filename, type, commitMessage, author, repoName)
+   */
+  async getReleaseCommitFiles(organization, version) {
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/releases/${encodeURIComponent(version)}/commitfiles/`;
+    return this.fetchJson(url, `Fetching changed files for release ${version}`);
+  }
+
+  /**
+   * Run a Discover query: selected fields and aggregates over events
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/events/
+   * Reference: https://docs.sentry.io/api/discover/query-discover-events-in-table-format/
+   *
+   * Rows are keyed by field, e.g. { "browser.name": "Chrome", "count()": 42 }, and
+   * meta.fields maps each field to its type (string, integer, duration, percentage, ...).
+   *
+   * @param {string} organization - Organization slug
+   * @param {Object} options - fields, query, sort, dataset, project, environment, statsPeriod,
+   *   dateFrom, dateTo, limit, cursor
+   * @returns {Promise<{data: Object, pagination: Object}>} { data, meta } page and cursor information
+   */
+  async queryEvents(organization, options = {}) {
+    const {
+      fields,
+      query,
+      sort,
+      dataset,
+      project,
+      environment,
+      statsPeriod,
+      dateFrom,
+      dateTo,
+      limit,
+      cursor,
+    } = options;
+
+    const params = new URLSearchParams();
+    fields.forEach(field => params.append('field', field));
+
+    if (query) params.append('query', query);
+    if (sort) params.append('sort', sort);
+    if (dataset) params.append('dataset', dataset);
+
+    if (statsPeriod) {
+      params.append('statsPeriod', statsPeriod);
+    } else {
+      if (dateFrom) params.append('start', this.formatDateForSentry(dateFrom));
+      if (dateTo) params.append('end', this.formatDateForSentry(dateTo));
+    }
+
+    if (project) {
+      (Array.isArray(project) ? project : [project]).forEach(proj =>
+        params.append('project', proj.toString()),
+      );
+    }
+    if (environment) {
+      (Array.isArray(environment) ? environment : [environment]).forEach(env =>
+        params.append('environment', env),
+      );
+    }
+
+    if (limit) params.append('per_page', limit.toString());
+    if (cursor) params.append('cursor', cursor);
+
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/events/?${params}`;
+    return this.fetchJsonPage(url, 'Querying events');
+  }
+
+  /**
+   * Retrieve any event (error or transaction) of a project
+   *
+   * Endpoint: GET /api/0/projects/{organization_slug}/{project_slug}/events/{event_id}/
+   * Reference: https://docs.sentry.io/api/events/retrieve-an-event-for-a-project/
+   *
+   * Transaction events carry their spans in an entry of type "spans".
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} projectSlug - Project slug
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Event object with entries
+   */
+  async getProjectEvent(organization, projectSlug, eventId) {
+    const url = `${this.apiBase}/projects/${encodeURIComponent(organization)}/${encodeURIComponent(projectSlug)}/events/${eventId}/`;
+    return this.fetchJson(url, `Fetching event ${eventId}`);
+  }
+
+  /**
+   * Retrieve the transaction tree of a distributed trace
+   *
+   * Endpoint: GET /api/0/organizations/{organization_slug}/events-trace/{trace_id}/
+   *
+   * Returns root transactions with nested `children`, each with its `errors`. Newer Sentry
+   * versions wrap this as { transactions, orphan_errors }; older ones return the array.
+   *
+   * @param {string} organization - Organization slug
+   * @param {string} traceId - 32-character trace ID
+   * @param {string} statsPeriod - How far back to look for the trace's events
+   * @returns {Promise<Array|Object>} Trace transactions
+   */
+  async getTrace(organization, traceId, statsPeriod = '14d') {
+    const params = new URLSearchParams({ statsPeriod });
+    const url = `${this.apiBase}/organizations/${encodeURIComponent(organization)}/events-trace/${traceId}/?${params}`;
+    return this.fetchJson(url, `Fetching trace ${traceId}`);
+  }
 }
 
 module.exports = SentryService;
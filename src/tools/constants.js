@@ -5,9 +5,31 @@ const TOOL_NAMES = {
   GET_SENTRY_ISSUES: 'get_sentry_issues',
   GET_CURRENT_DATETIME: 'get_current_datetime',
   GET_SENTRY_ISSUE_DETAILS: 'get_sentry_issue_details',
+  GET_SENTRY_ISSUE_EVENTS: 'get_sentry_issue_events',
+  GET_SENTRY_EVENT_DETAILS: 'get_sentry_event_details',
+  GET_SENTRY_ISSUE_STATS: 'get_sentry_issue_stats',
+  UPDATE_SENTRY_ISSUE: 'update_sentry_issue',
+  BULK_UPDATE_SENTRY_ISSUES: 'bulk_update_sentry_issues',
+  GET_SENTRY_RELEASES: 'get_sentry_releases',
+  GET_SENTRY_RELEASE_DETAILS: 'get_sentry_release_details',
+  QUERY_SENTRY_EVENTS: 'query_sentry_events',
+  GET_SENTRY_TRANSACTIONS: 'get_sentry_transactions',
+  GET_SENTRY_TRACE: 'get_sentry_trace',
+  GET_SENTRY_ISSUE_REPLAYS: 'get_sentry_issue_replays',
+  GET_SENTRY_REPLAY_TIMELINE: 'get_sentry_replay_timeline',
+  GET_SENTRY_TAG_DISTRIBUTION: 'get_sentry_tag_distribution',
+  GET_SENTRY_ISSUE_ACTIVITY: 'get_sentry_issue_activity',
+  ADD_SENTRY_ISSUE_NOTE: 'add_sentry_issue_note',
   GET_JIRA_ISSUE_DETAILS: 'get_jira_issue_details',
   GET_JIRA_FIELDS: 'get_jira_fields',
   EDIT_JIRA_ISSUE: 'edit_jira_issue',
+  CREATE_JIRA_ISSUE_FROM_SENTRY: 'create_jira_issue_from_sentry',
+  CREATE_JIRA_ISSUE: 'create_jira_issue',
+  LINK_SENTRY_ISSUE_TO_JIRA: 'link_sentry_issue_to_jira',
+  SEARCH_JIRA_ISSUES: 'search_jira_issues',
+  ADD_JIRA_COMMENT: 'add_jira_comment',
+  GET_JIRA_TRANSITIONS: 'get_jira_transitions',
+  TRANSITION_JIRA_ISSUE: 'transition_jira_issue',
 };
 
 const ENABLED_TOOLS = [
@@ -16,9 +38,31 @@ const ENABLED_TOOLS = [
   TOOL_NAMES.GET_SENTRY_ISSUES,
   TOOL_NAMES.GET_CURRENT_DATETIME,
   TOOL_NAMES.GET_SENTRY_ISSUE_DETAILS,
+  TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS,
+  TOOL_NAMES.GET_SENTRY_EVENT_DETAILS,
+  TOOL_NAMES.GET_SENTRY_ISSUE_STATS,
+  TOOL_NAMES.UPDATE_SENTRY_ISSUE,
+  TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES,
+  TOOL_NAMES.GET_SENTRY_RELEASES,
+  TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS,
+  TOOL_NAMES.QUERY_SENTRY_EVENTS,
+  TOOL_NAMES.GET_SENTRY_TRANSACTIONS,
+  TOOL_NAMES.GET_SENTRY_TRACE,
+  TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS,
+  TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE,
+  TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION,
+  TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY,
+  TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE,
   TOOL_NAMES.GET_JIRA_ISSUE_DETAILS,
   TOOL_NAMES.GET_JIRA_FIELDS,
   TOOL_NAMES.EDIT_JIRA_ISSUE,
+  TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY,
+  TOOL_NAMES.CREATE_JIRA_ISSUE,
+  TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA,
+  TOOL_NAMES.SEARCH_JIRA_ISSUES,
+  TOOL_NAMES.ADD_JIRA_COMMENT,
+  TOOL_NAMES.GET_JIRA_TRANSITIONS,
+  TOOL_NAMES.TRANSITION_JIRA_ISSUE,
 ];
 
 module.exports = { TOOL_NAMES, ENABLED_TOOLS };
@@ -19,6 +19,171 @@ const SHARED_PROPERTIES = {
   },
 };
 
+// Search filters shared by tools that target issues through the issues list endpoint
+const ISSUE_FILTER_PROPERTIES = {
+  project: {
+    oneOf: [
+      {
+        type: 'string',
+        description: 'Single project ID (e.g., "123456")',
+      },
+      {
+        type: 'array',
+        items: {
+          type: 'string',
+        },
+        description: 'Array of project IDs (e.g., ["123456", "789012"])',
+      },
+    ],
+    description: 'Project ID or array of project IDs. Must be numeric IDs, not shortId or name.',
+  },
+  environment: {
+    oneOf: [
+      {
+        type: 'string',
+        description:
+          'Target environment: "production", "staging", "development", "testing", or custom names',
+      },
+      {
+        type: 'array',
+        items: {
+          type: 'string',
+        },
+        description: 'Array of environment names',
+      },
+    ],
+    description:
+      'Filter issues by deployment environment(s). Use single environment or array for multiple environments.',
+  },
+  utc: {
+    type: 'boolean',
+    description: 'Use UTC time for date range. Default: true',
+  },
+  sortBy: {
+    type: 'string',
+    description:
+      'Sort order for issues: "date" (Last Seen), "new" (First Seen), "trends" (Trends), "freq" (Events), "user" (Users), "inbox" (Date Added). Default: "freq"',
+    enum: ['date', 'freq', 'inbox', 'new', 'trends', 'user'],
+  },
+  issue: {
+    type: 'string',
+    description:
+      'Filter by short ID or full ID of a specific Sentry issue (e.g., "PROJECT-NAME-XXXX"). Use this to find a single issue by its identifier.',
+  },
+  excludeErrorType: {
+    type: 'string',
+    description:
+      "EXCLUDE filter: Remove issues matching this error type/message. FORMAT: Use **ErrorType** syntax. COMMON EXCLUSIONS: Noise (**404**, **TimeoutError**), Known Issues (**MaintenanceError**), HTTP codes (**401**, **500**), Infrastructure (**ConnectionError**). EXAMPLE: To exclude 404s use excludeErrorType:'**404**'. COMBINE with errorMessage for precise filtering (e.g., API errors but not 404s).",
+  },
+  errorMessage: {
+    type: 'string',
+    description:
+      "INCLUDE filter: Show ONLY issues matching this error type/message. FORMAT: Use **ErrorType** syntax. COMMON TYPES: Frontend (**TypeError**, **ReferenceError**), Backend (**DatabaseError**, **ValidationError**), API (**APIError**, **HTTPError**), Auth (**AuthError**), HTTP Status (**404**, **500**), Custom (**PaymentError**). EXAMPLE: To find API errors use errorMessage:'**APIError**'.",
+  },
+  statsPeriod: {
+    type: 'string',
+    description:
+      'The period of time for the query (e.g., "24h", "7d", "1w"). Will override dateFrom and dateTo. Format: number + unit (d=days, h=hours, m=minutes, s=seconds, w=weeks)',
+  },
+  dateFrom: {
+    type: 'string',
+    description: `Start date for issues (YYYY-MM-DDT00:00:00 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
+  },
+  dateTo: {
+    type: 'string',
+    description: `End date for issues (YYYY-MM-DDT23:59:59 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
+  },
+  relativeDays: {
+    type: 'integer',
+    description:
+      'Only the last N days up to today (1-365). Sets dateFrom and dateTo; ignored when statsPeriod is given',
+    minimum: 1,
+    maximum: 365,
+  },
+  query: {
+    type: 'string',
+    description:
+      'Advanced Sentry search syntax for complex filtering. DEFAULT: "is:unresolved issue.priority:[high,medium] issue:shortIdOfIssue". SYNTAX: Status ("is:unresolved"), HTTP Codes ("error.type:404"), Messages ("message:**timeout**"), Priority ("issue.priority:[high,medium]"), Users ("has:user"), Environment ("environment:production"), Combine ("is:unresolved AND message:**API**"). LEAVE EMPTY for standard errorMessage/excludeErrorType filtering.',
+  },
+};
+
+// Status, assignment and flag changes shared by single and bulk issue updates
+const ISSUE_UPDATE_PROPERTIES = {
+  status: {
+    type: 'string',
+    description:
+      'New status: "resolved", "resolvedInNextRelease", "ignored", or "unresolved" (reopen)',
+    enum: ['resolved', 'resolvedInNextRelease', 'unresolved', 'ignored'],
+  },
+  inRelease: {
+    type: 'string',
+    description:
+      'Release version the issue is resolved in (e.g., "1.4.2"). Only with status "resolved".',
+  },
+  ignoreDuration: {
+    type: 'integer',
+    description: 'Ignore for this many minutes. Only with status "ignored".',
+    minimum: 1,
+  },
+  ignoreCount: {
+    type: 'integer',
+    description: 'Ignore until the issue occurs this many more times. Only with status "ignored".',
+    minimum: 1,
+  },
+  ignoreWindow: {
+    type: 'integer',
+    description: 'Time window in minutes for ignoreCount. Only with status "ignored".',
+    minimum: 1,
+  },
+  ignoreUserCount: {
+    type: 'integer',
+    description: 'Ignore until this many more users are affected. Only with status "ignored".',
+    minimum: 1,
+  },
+  ignoreUserWindow: {
+    type: 'integer',
+    description: 'Time window in minutes for ignoreUserCount. Only with status "ignored".',
+    minimum: 1,
+  },
+  assignedTo: {
+    type: 'string',
+    description:
+      'Assignee: "user:<id>", "team:<id>", a username or email. Use an empty string to unassign.',
+  },
+  hasSeen: {
+    type: 'boolean',
+    description: 'Mark the issue as seen (true) or unseen (false)',
+  },
+  isBookmarked: {
+    type: 'boolean',
+    description: 'Bookmark (true) or remove bookmark (false)',
+  },
+};
+
+// Stack frame rendering options shared by issue and event details
+const STACK_FRAME_PROPERTIES = {
+  inAppOnly: {
+    type: 'boolean',
+    description:
+      'Show only application (in-app) frames, hiding library and framework frames. Default: false',
+    default: false,
+  },
+  contextLines: {
+    type: 'integer',
+    description:
+      'Lines of source code to show before and after the line of each frame (0-10). Default: 0',
+    minimum: 0,
+    maximum: 10,
+    default: 0,
+  },
+  includeVariables: {
+    type: 'boolean',
+    description:
+      'Include local variables captured for each frame (values truncated). Default: false',
+    default: false,
+  },
+};
+
 // Tool definitions
 const TOOL_DEFINITIONS = [
   {
@@ -62,95 +227,18 @@ const TOOL_DEFINITIONS = [
       type: 'object',
       properties: {
         ...SHARED_PROPERTIES,
-        project: {
-          oneOf: [
-            {
-              type: 'string',
-              description: 'Single project ID (e.g., "123456")',
-            },
-            {
-              type: 'array',
-              items: {
-                type: 'string',
-              },
-              description: 'Array of project IDs (e.g., ["123456", "789012"])',
-            },
-          ],
-          description:
-            'Project ID or array of project IDs. Must be numeric IDs, not shortId or name.',
-        },
-        environment: {
-          oneOf: [
-            {
-              type: 'string',
-              description:
-                'Target environment: "production", "staging", "development", "testing", or custom names',
-            },
-            {
-              type: 'array',
-              items: {
-                type: 'string',
-              },
-              description: 'Array of environment names',
-            },
-          ],
-          description:
-            'Filter issues by deployment environment(s). Use single environment or array for multiple environments.',
-        },
-        utc: {
-          type: 'boolean',
-          description: 'Use UTC time for date range. Default: true',
-        },
-        sortBy: {
-          type: 'string',
-          description:
-            'Sort order for issues: "date" (Last Seen), "new" (First Seen), "trends" (Trends), "freq" (Events), "user" (Users), "inbox" (Date Added). Default: "freq"',
-          enum: ['date', 'freq', 'inbox', 'new', 'trends', 'user'],
-        },
-        issue: {
-          type: 'string',
-          description:
-            'Filter by short ID or full ID of a specific Sentry issue (e.g., "PROJECT-NAME-XXXX"). Use this to find a single issue by its identifier.',
-        },
-        excludeErrorType: {
-          type: 'string',
-          description:
-            "EXCLUDE filter: Remove issues matching this error type/message. FORMAT: Use **ErrorType** syntax. COMMON EXCLUSIONS: Noise (**404**, **TimeoutError**), Known Issues (**MaintenanceError**), HTTP codes (**401**, **500**), Infrastructure (**ConnectionError**). EXAMPLE: To exclude 404s use excludeErrorType:'**404**'. COMBINE with errorMessage for precise filtering (e.g., API errors but not 404s).",
-        },
-        errorMessage: {
-          type: 'string',
-          description:
-            "INCLUDE filter: Show ONLY issues matching this error type/message. FORMAT: Use **ErrorType** syntax. COMMON TYPES: Frontend (**TypeError**, **ReferenceError**), Backend (**DatabaseError**, **ValidationError**), API (**APIError**, **HTTPError**), Auth (**AuthError**), HTTP Status (**404**, **500**), Custom (**PaymentError**). EXAMPLE: To find API errors use errorMessage:'**APIError**'.",
-        },
+        ...ISSUE_FILTER_PROPERTIES,
         limit: {
           type: 'integer',
           description: 'Maximum number of issues to return (1-9999). Default: 10',
           minimum: 1,
           maximum: 9999,
         },
-        statsPeriod: {
-          type: 'string',
-          description:
-            'The period of time for the query (e.g., "24h", "7d", "1w"). Will override dateFrom and dateTo. Format: number + unit (d=days, h=hours, m=minutes, s=seconds, w=weeks)',
-        },
-        dateFrom: {
-          type: 'string',
-          description: `Start date for issues (YYYY-MM-DDT00:00:00 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
-        },
-        dateTo: {
-          type: 'string',
-          description: `End date for issues (YYYY-MM-DDT23:59:59 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
-        },
         groupStatsPeriod: {
           type: 'string',
           description: 'The timeline for group stats presentation',
           enum: ['14d', '24h', 'auto'],
         },
-        query: {
-          type: 'string',
-          description:
-            'Advanced Sentry search syntax for complex filtering. DEFAULT: "is:unresolved issue.priority:[high,medium] issue:shortIdOfIssue". SYNTAX: Status ("is:unresolved"), HTTP Codes ("error.type:404"), Messages ("message:**timeout**"), Priority ("issue.priority:[high,medium]"), Users ("has:user"), Environment ("environment:production"), Combine ("is:unresolved AND message:**API**"). LEAVE EMPTY for standard errorMessage/excludeErrorType filtering.',
-        },
         collapse: {
           type: 'array',
           items: {
@@ -161,7 +249,14 @@ const TOOL_DEFINITIONS = [
         },
         cursor: {
           type: 'string',
-          description: 'Pointer to the last object fetched and its sort order; used for pagination',
+          description:
+            'Pointer to the last object fetched and its sort order; used for pagination. Pass the Next Cursor returned by a previous call to get the next page.',
+        },
+        autoPaginate: {
+          type: 'boolean',
+          description:
+            'Follow next cursors automatically until limit issues are collected. Sentry returns at most 100 issues per page, so use this when limit is above 100. Default: false',
+          default: false,
         },
       },
       required: [],
@@ -185,6 +280,20 @@ const TOOL_DEFINITIONS = [
             'Include comprehensive ticket details and full comment history. Default: false.',
           default: false,
         },
+        maxDescriptionLength: {
+          type: 'number',
+          description:
+            'Character budget for the description, rendered as Markdown and cut at block boundaries with a note of what was omitted. Default: 500 (1000 with deepDetails).',
+          minimum: 100,
+          maximum: 50000,
+        },
+        maxCommentLength: {
+          type: 'number',
+          description:
+            'Character budget for each comment, rendered as Markdown. Default: 200 (500 with deepDetails).',
+          minimum: 50,
+          maximum: 20000,
+        },
       },
       required: ['ticketKey'],
     },
@@ -238,10 +347,14 @@ const TOOL_DEFINITIONS = [
         fields: {
           type: 'object',
           description:
-            'Fields to update in the JIRA issue. Format: { "fieldName": "value" }. Use GET_JIRA_FIELDS to see available fields.',
-          additionalProperties: {
-            type: 'string',
-          },
+            'Fields to update, by name or ID, with plain values: { "priority": "High", "assignee": "jane@company.com", "components": ["API"], "Story Points": 5 }. Select values are matched against the allowed options (inexact or ambiguous matches are skipped and reported with candidates). For labels, components, fix versions and other multi-value fields that support it, prefix values with "+" or "-" to add or remove instead of replacing: { "labels": ["+regression", "-triage"] }. Escape a literal leading + or - with a backslash: "\\\\-1" is the label "-1". Use GET_JIRA_FIELDS to see available fields.',
+          additionalProperties: {},
+        },
+        dryRun: {
+          type: 'boolean',
+          description:
+            'Validate the fields and show current vs. proposed values (and what would be skipped) without changing the ticket. Default: false',
+          default: false,
         },
       },
       required: ['ticketKey'],
@@ -272,15 +385,25 @@ const TOOL_DEFINITIONS = [
   {
     name: TOOL_NAMES.GET_SENTRY_ISSUE_DETAILS,
     description:
-      'Get detailed information about a specific Sentry issue including stack trace and metadata. Requires numeric issue ID.',
+      'Get detailed information about a specific Sentry issue including stack trace and metadata. Accepts a numeric issue ID, a short ID (e.g., "PROJ-1AB") or a Sentry issue URL.',
     inputSchema: {
       type: 'object',
       properties: {
         ...SHARED_PROPERTIES,
         issueId: {
-          type: 'number',
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description:
+                'Short ID (e.g., "PROJ-1AB") or issue URL (e.g., "https://my-org.sentry.io/issues/5829644011/")',
+            },
+          ],
           description:
-            'Issue ID must be number (e.g., 5829644011). To get the numeric ID from a short ID, first list issues with GET_SENTRY_ISSUES using a query filter like "issue:SHORTID" and read the returned id field.',
+            'Numeric issue ID, short ID or issue URL. Short IDs are resolved directly; URLs also provide the organization and, if present, the event ID.',
         },
         includeTags: {
           type: 'boolean',
@@ -299,13 +422,922 @@ const TOOL_DEFINITIONS = [
         deepDetails: {
           type: 'boolean',
           description:
-            'Include comprehensive details like environment breakdowns, user data, and statistics. Default: false.',
+            'Include comprehensive details like environment breakdowns, user data, statistics and suspect commits. Default: false.',
+          default: false,
+        },
+        suspectCommits: {
+          type: 'boolean',
+          description:
+            'Include suspect commits for the latest event: SHA, message, author and the stack frames whose files the commit changed. Needs a repository integration in Sentry; the response says so when none is configured. Default: false.',
+          default: false,
+        },
+        ...STACK_FRAME_PROPERTIES,
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_ISSUE_EVENTS,
+    description:
+      'List the individual events of a Sentry issue with a compact summary per event (event ID, timestamp, release, user, top tags, exception message). Use it to see whether events differ across releases, environments or users. Accepts numeric ID, short ID or issue URL. Supports cursor pagination: pass the returned Next Cursor to get the next page.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID or issue URL',
+        },
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        statsPeriod: ISSUE_FILTER_PROPERTIES.statsPeriod,
+        dateFrom: {
+          type: 'string',
+          description: `Start date for events (YYYY-MM-DDT00:00:00 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
+        },
+        dateTo: {
+          type: 'string',
+          description: `End date for events (YYYY-MM-DDT23:59:59 format). For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
+        },
+        query: {
+          type: 'string',
+          description:
+            'Full-text or tag search within the issue\'s events (e.g., "user.email:jane@company.com", "release:1.4.2", "timeout")',
+        },
+        cursor: {
+          type: 'string',
+          description: 'Cursor returned as Next Cursor by a previous call; used for pagination',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Number of events per page (1-100). Default: 20',
+          minimum: 1,
+          maximum: 100,
+        },
+        full: {
+          type: 'boolean',
+          description:
+            'Fetch full event payloads so the exception message comes from the exception entry instead of the event title. Slower. Default: false',
           default: false,
         },
       },
       required: ['issueId'],
     },
   },
+  {
+    name: TOOL_NAMES.GET_SENTRY_EVENT_DETAILS,
+    description:
+      'Get the full details of a single Sentry event: every exception in the chain with stack frames, breadcrumbs, the HTTP request, contexts (browser, os, runtime, device), tags and user. Pick only the sections you need. Accepts numeric ID, short ID, issue URL or event URL. Defaults to the latest event of the issue; use GET_SENTRY_ISSUE_EVENTS to find other event IDs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB"), issue URL or event URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID, issue URL or event URL',
+        },
+        eventId: {
+          type: 'string',
+          description:
+            'Event ID (32-character hex) or "latest", "oldest", "recommended". Default: the event in an event URL, otherwise "latest"',
+        },
+        environment: {
+          type: 'string',
+          description:
+            'Environment name used to pick the latest/oldest/recommended event (e.g., "production")',
+        },
+        sections: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['exceptions', 'breadcrumbs', 'request', 'contexts', 'tags', 'user'],
+          },
+          description:
+            'Sections to include. Default: ["exceptions", "breadcrumbs", "request", "contexts"]',
+        },
+        breadcrumbsLimit: {
+          type: 'integer',
+          description: 'Number of most recent breadcrumbs to show (1-200). Default: 30',
+          minimum: 1,
+          maximum: 200,
+        },
+        maxFrames: {
+          type: 'integer',
+          description: 'Maximum stack frames shown per exception (1-100). Default: 10',
+          minimum: 1,
+          maximum: 100,
+        },
+        ...STACK_FRAME_PROPERTIES,
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_ISSUE_STATS,
+    description: `Show how often a Sentry issue occurred over time: event and user counts per bucket, a sparkline, and spikes flagged against a baseline window (the first half of the period by default). Use it to answer "did this start after the deploy?". Accepts numeric ID, short ID or issue URL. CURRENT DATE: ${getCurrentDateInfo().currentDate}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID or issue URL',
+        },
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        statsPeriod: {
+          type: 'string',
+          description:
+            'The period to chart (e.g., "24h", "7d", "2w"). Overrides dateFrom and dateTo. Format: number + unit (m=minutes, h=hours, d=days, w=weeks). Default: "7d"',
+        },
+        dateFrom: ISSUE_FILTER_PROPERTIES.dateFrom,
+        dateTo: {
+          ...ISSUE_FILTER_PROPERTIES.dateTo,
+          description: `End date for the chart (YYYY-MM-DDT23:59:59 format). Requires dateFrom; defaults to now when only dateFrom is given. For relative dates, calculate from current date: ${getCurrentDateInfo().currentDate}`,
+        },
+        relativeDays: {
+          ...ISSUE_FILTER_PROPERTIES.relativeDays,
+          description: 'Chart the last N days up to the end of today (1-365)',
+        },
+        interval: {
+          type: 'string',
+          description:
+            'Bucket size. Default: chosen automatically to keep about 48 buckets or fewer',
+          enum: ['5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d'],
+        },
+        baselineBuckets: {
+          type: 'integer',
+          description:
+            'Number of leading buckets used as the baseline for spike detection. Default: first half of the buckets',
+          minimum: 1,
+        },
+        spikeThreshold: {
+          type: 'number',
+          description:
+            'A bucket is a spike when its event count exceeds this multiple of the baseline mean (and 3 standard deviations above it). Default: 3',
+          minimum: 1,
+          default: 3,
+        },
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.UPDATE_SENTRY_ISSUE,
+    description:
+      'Update a Sentry issue: resolve, resolve in next release, ignore (optionally until a duration or count is reached), reopen (unresolved), assign to a user or team, or mark as seen/bookmarked. Requires numeric issue ID and a token with event:write scope.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          type: 'number',
+          description: 'Issue ID must be number (e.g., 5829644011)',
+        },
+        ...ISSUE_UPDATE_PROPERTIES,
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.BULK_UPDATE_SENTRY_ISSUES,
+    description:
+      'Resolve, ignore, reopen or assign every Sentry issue matching a search, using the same filters as GET_SENTRY_ISSUES. Without confirm it only previews the matching issues, the effective query and date range, and whether more issues match than limit; nothing is changed. To apply the change, re-run with confirm=true and the previewed issueIds; the change is applied to exactly those issues. Reports which issue IDs were changed and which failed. Requires a token with event:write scope.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        ...ISSUE_FILTER_PROPERTIES,
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of matching issues to update (1-100). Default: 25',
+          minimum: 1,
+          maximum: 100,
+        },
+        ...ISSUE_UPDATE_PROPERTIES,
+        confirm: {
+          type: 'boolean',
+          description:
+            'Apply the change to issueIds. Requires issueIds; when false, only the matching issues are listed so the target set can be reviewed first. Default: false',
+          default: false,
+        },
+        issueIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Issue IDs from the preview. Required with confirm=true; the change is applied to exactly these issues and the filters are not re-run (max 100).',
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_RELEASES,
+    description:
+      'List Sentry releases, newest first: version, created and released dates, new issue count, commit count, and deploys per environment (count and last deploy time). Use it to correlate errors with deploys.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        project: {
+          type: 'string',
+          description: 'Project ID to list releases for (e.g., "123456")',
+        },
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        query: {
+          type: 'string',
+          description: 'Only releases whose version contains this text (e.g., "2.4")',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Number of releases per page (1-100). Default: 10',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+        cursor: {
+          type: 'string',
+          description: 'Pagination cursor from a previous response (Next Cursor)',
+        },
+        includeDeploys: {
+          type: 'boolean',
+          description:
+            'Fetch deploys for each release (one extra request per release). Default: true',
+          default: true,
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_RELEASE_DETAILS,
+    description:
+      'Show a single Sentry release: dates, commits, deploys per environment, release health (crash-free sessions and users, requires release health enabled in the SDK) and the issues first seen in that release.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        version: {
+          type: 'string',
+          description: 'Release version as shown in Sentry (e.g., "web@2.4.1" or a commit SHA)',
+        },
+        project: {
+          type: 'string',
+          description: 'Project ID to scope health and new issues to (e.g., "123456")',
+        },
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        statsPeriod: {
+          type: 'string',
+          description:
+            'Period for release health and new issues (e.g., "14d"). Release health covers at most 90 days. Default: "90d"',
+          default: '90d',
+        },
+        issuesLimit: {
+          type: 'integer',
+          description:
+            'Maximum number of new issues to list, most frequent first (1-100). Default: 10',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+      },
+      required: ['version'],
+    },
+  },
+  {
+    name: TOOL_NAMES.QUERY_SENTRY_EVENTS,
+    description: `Run an ad-hoc Discover query over Sentry events and get a compact table, e.g. "count of errors by browser for /checkout in the last 24h": fields ["browser.name", "count()"], query "transaction:/checkout event.type:error", sort "-count()", statsPeriod "24h". Fields are event attributes (title, release, environment, transaction, user.email, browser.name, os.name, http.status_code, ...), tags[<key>] for custom tags, or functions: count(), count_unique(field), avg/sum/min/max(field), p50-p100(), percentile(field,0.95), failure_rate(), apdex(threshold), epm(), last_seen(). Unknown fields or functions are rejected with the list of valid options. CURRENT DATE: ${getCurrentDateInfo().currentDate}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Columns to return: fields to group by plus aggregate functions (e.g., ["browser.name", "count()", "count_unique(user)"])',
+        },
+        query: {
+          type: 'string',
+          description:
+            'Sentry search query (e.g., "event.type:error transaction:/checkout", "!browser.name:Chrome")',
+        },
+        sort: {
+          type: 'string',
+          description:
+            'One of the requested fields, prefixed with "-" for descending (e.g., "-count()")',
+        },
+        dataset: {
+          type: 'string',
+          description:
+            'Events to query: errors, transactions, or discover (both). Default: "discover"',
+          enum: ['discover', 'errors', 'transactions'],
+          default: 'discover',
+        },
+        project: ISSUE_FILTER_PROPERTIES.project,
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        statsPeriod: {
+          type: 'string',
+          description:
+            'Relative period (e.g., "24h", "7d"). Overrides dateFrom and dateTo. Default: "14d"',
+        },
+        dateFrom: ISSUE_FILTER_PROPERTIES.dateFrom,
+        dateTo: ISSUE_FILTER_PROPERTIES.dateTo,
+        limit: {
+          type: 'integer',
+          description: 'Number of rows per page (1-100). Default: 20',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+        },
+        cursor: {
+          type: 'string',
+          description: 'Pagination cursor from a previous response (Next Cursor)',
+        },
+      },
+      required: ['fields'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_TRANSACTIONS,
+    description: `List performance transactions (endpoints, pages, jobs) ranked by p95 or p75 duration, throughput or failure rate over a period. Pass transaction to drill down into one transaction: its slowest events and the slowest spans of the slowest event. Requires Sentry performance monitoring. CURRENT DATE: ${getCurrentDateInfo().currentDate}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        project: ISSUE_FILTER_PROPERTIES.project,
+        environment: ISSUE_FILTER_PROPERTIES.environment,
+        statsPeriod: {
+          type: 'string',
+          description:
+            'Relative period (e.g., "24h", "7d"). Overrides dateFrom and dateTo. Default: "14d"',
+        },
+        dateFrom: ISSUE_FILTER_PROPERTIES.dateFrom,
+        dateTo: ISSUE_FILTER_PROPERTIES.dateTo,
+        query: {
+          type: 'string',
+          description:
+            'Extra search filter (e.g., "transaction.op:http.server", "http.method:POST")',
+        },
+        sortBy: {
+          type: 'string',
+          description: 'Ranking, highest first. Default: "p95"',
+          enum: ['p95', 'p75', 'throughput', 'failure_rate', 'count'],
+          default: 'p95',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Number of transactions per page (1-100). Default: 10',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+        cursor: {
+          type: 'string',
+          description: 'Pagination cursor from a previous response (Next Cursor)',
+        },
+        transaction: {
+          type: 'string',
+          description:
+            'Exact transaction name to drill into (e.g., "POST /api/checkout"). Adds its slowest events and spans',
+        },
+        spanLimit: {
+          type: 'integer',
+          description: 'Number of slowest spans to show in the drill-down (1-50). Default: 10',
+          minimum: 1,
+          maximum: 50,
+          default: 10,
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_TRACE,
+    description:
+      'Show a distributed trace as an indented tree of transactions (and optionally their spans) across services, with durations and errors marked where they happened. Use the Trace ID shown by GET_SENTRY_ISSUE_DETAILS to follow an error into the service it came from.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        traceId: {
+          type: 'string',
+          description: '32-character trace ID (e.g., "a3f1c2d4e5b6a7980123456789abcdef")',
+        },
+        statsPeriod: {
+          type: 'string',
+          description:
+            'How far back to look for the trace\'s events (e.g., "24h", "30d"). Default: "14d"',
+          default: '14d',
+        },
+        includeSpans: {
+          type: 'boolean',
+          description:
+            'Also show the spans inside each transaction (one extra request per transaction, up to 25). Default: false',
+          default: false,
+        },
+        maxNodes: {
+          type: 'integer',
+          description: 'Maximum number of tree lines to show (10-1000). Default: 200',
+          minimum: 10,
+          maximum: 1000,
+          default: 200,
+        },
+      },
+      required: ['traceId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_ISSUE_REPLAYS,
+    description:
+      'List the session replays that captured a Sentry issue: replay ID, start time, duration, user, browser, visited URLs, error count and a link. Useful for frontend bugs. Accepts numeric ID, short ID or issue URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID or issue URL',
+        },
+        statsPeriod: {
+          type: 'string',
+          description: 'How far back to look for replays (e.g., "7d"). Default: "90d"',
+          default: '90d',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of replays to describe (1-50). Default: 10',
+          minimum: 1,
+          maximum: 50,
+          default: 10,
+        },
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_REPLAY_TIMELINE,
+    description:
+      'Condense a session replay into a timeline of what the user did: page navigations, clicks (with element text), inputs, rage/slow clicks and console errors, each with its offset from the start of the replay.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        replayId: {
+          type: 'string',
+          description: '32-character replay ID from GET_SENTRY_ISSUE_REPLAYS',
+        },
+        includeConsole: {
+          type: 'boolean',
+          description: 'Include console errors and warnings. Default: true',
+          default: true,
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of timeline entries (1-500). Default: 100',
+          minimum: 1,
+          maximum: 500,
+          default: 100,
+        },
+      },
+      required: ['replayId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_TAG_DISTRIBUTION,
+    description: `Break down the values of any tag key (e.g., "customer_id", "url", "transaction", "browser.name") with counts, percentage of events, and first/last seen. Pass issueId for one issue, or project/query for a breakdown across matching events. Use it to tell whether a bug hits one tenant or all of them. CURRENT DATE: ${getCurrentDateInfo().currentDate}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        key: {
+          type: 'string',
+          description: 'Tag key to break down (e.g., "customer_id", "url", "release")',
+        },
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description:
+            'Issue to break down. Omit it and use project/query for a project-wide breakdown',
+        },
+        project: ISSUE_FILTER_PROPERTIES.project,
+        query: {
+          type: 'string',
+          description:
+            'Search filter for the project-wide breakdown (e.g., "event.type:error transaction:/checkout")',
+        },
+        environment: {
+          type: 'string',
+          description: 'Environment name (e.g., "production")',
+        },
+        statsPeriod: {
+          type: 'string',
+          description:
+            'Relative period for the project-wide breakdown (e.g., "24h", "7d"). Default: "14d"',
+        },
+        dateFrom: ISSUE_FILTER_PROPERTIES.dateFrom,
+        dateTo: ISSUE_FILTER_PROPERTIES.dateTo,
+        limit: {
+          type: 'integer',
+          description: 'Number of values per page, most frequent first (1-100). Default: 20',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+        },
+        cursor: {
+          type: 'string',
+          description: 'Pagination cursor from a previous response (Next Cursor)',
+        },
+      },
+      required: ['key'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_SENTRY_ISSUE_ACTIVITY,
+    description:
+      'Show the activity feed of a Sentry issue as a chronological timeline: notes left by teammates, status changes (resolved, ignored, regressed), assignments, merges and linked tickets. Accepts numeric ID, short ID or issue URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID or issue URL',
+        },
+        limit: {
+          type: 'integer',
+          description: 'Number of most recent activity items to show (1-200). Default: 50',
+          minimum: 1,
+          maximum: 200,
+          default: 50,
+        },
+        notesOnly: {
+          type: 'boolean',
+          description: 'Only show notes. Default: false',
+          default: false,
+        },
+      },
+      required: ['issueId'],
+    },
+  },
+  {
+    name: TOOL_NAMES.ADD_SENTRY_ISSUE_NOTE,
+    description:
+      'Post a note on a Sentry issue (Markdown and @mentions supported). Pass jiraIssueKey and jiraIssueUrl to link back to a Jira ticket, e.g. right after creating one. Requires a token with event:write scope.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Numeric issue ID, short ID or issue URL',
+        },
+        text: {
+          type: 'string',
+          description: 'Note text',
+        },
+        jiraIssueKey: {
+          type: 'string',
+          description: 'Jira ticket to mention at the end of the note (e.g., "PROJ-123")',
+        },
+        jiraIssueUrl: {
+          type: 'string',
+          description: 'Browse URL of the Jira ticket, used to turn the key into a link',
+        },
+      },
+      required: ['issueId', 'text'],
+    },
+  },
+  {
+    name: TOOL_NAMES.CREATE_JIRA_ISSUE_FROM_SENTRY,
+    description:
+      'Create a JIRA ticket from a Sentry issue. The description (ADF) carries the error title, culprit, event/user counts, first/last seen, environment and release breakdown, top stack frames in a code block and the Sentry link. Returns the new ticket key and URL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Sentry issue: numeric ID, short ID or issue URL',
+        },
+        projectKey: {
+          type: 'string',
+          description: 'JIRA project key (e.g., "MAN") or numeric project ID',
+        },
+        issueType: {
+          type: 'string',
+          description: 'JIRA issue type name (e.g., "Bug", "Task") or numeric ID. Default: "Bug"',
+          default: 'Bug',
+        },
+        summary: {
+          type: 'string',
+          description:
+            'Ticket summary. Default: "[Sentry] <short ID>: <error title>", capped at 255 characters',
+        },
+        environment: {
+          type: 'string',
+          description: 'Only count this environment in the environment/release breakdown',
+        },
+        maxFrames: {
+          type: 'number',
+          description: 'Number of stack frames to include, innermost first (1-50). Default: 10',
+          default: 10,
+        },
+        inAppOnly: {
+          type: 'boolean',
+          description:
+            'Include only application frames (falls back to all frames if none are in-app). Default: true',
+          default: true,
+        },
+      },
+      required: ['issueId', 'projectKey'],
+    },
+  },
+  {
+    name: TOOL_NAMES.CREATE_JIRA_ISSUE,
+    description:
+      'Create a JIRA issue (task, story, sub-task, ...). Fields are checked against the create screen of the project and issue type: required fields must be present, and custom fields can be given by name (e.g. "Story Points") instead of ID. Option values are matched by name.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        projectKey: {
+          type: 'string',
+          description: 'JIRA project key (e.g., "MAN") or numeric project ID',
+        },
+        issueType: {
+          type: 'string',
+          description: 'Issue type name (e.g., "Task", "Story", "Sub-task") or ID. Default: "Task"',
+          default: 'Task',
+        },
+        summary: {
+          type: 'string',
+          description: 'Issue summary (max 255 characters)',
+        },
+        description: {
+          type: 'string',
+          description: 'Plain text description; lines starting with "-" become bullet points',
+        },
+        assignee: {
+          type: 'string',
+          description: 'Assignee email address, display name or account ID',
+        },
+        labels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Labels (no spaces)',
+        },
+        components: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Component names',
+        },
+        priority: {
+          type: 'string',
+          description: 'Priority name (e.g., "High")',
+        },
+        parent: {
+          type: 'string',
+          description: 'Parent issue key, required for sub-tasks (e.g., "MAN-123")',
+        },
+        fields: {
+          type: 'object',
+          description:
+            'Other fields by name or ID, e.g. { "Story Points": 3, "customfield_10020": 42 }. Values for select lists are option names; pre-formatted JIRA objects are passed through.',
+          additionalProperties: {},
+        },
+      },
+      required: ['projectKey', 'summary'],
+    },
+  },
+  {
+    name: TOOL_NAMES.LINK_SENTRY_ISSUE_TO_JIRA,
+    description:
+      "Link a Sentry issue to an existing JIRA ticket. Uses Sentry's Jira integration when it is installed (the ticket then appears in the issue's annotations); otherwise adds a JIRA remote link to the Sentry issue and a Sentry note pointing at the ticket. The response says which mechanism was used.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        issueId: {
+          oneOf: [
+            {
+              type: 'number',
+              description: 'Numeric issue ID (e.g., 5829644011)',
+            },
+            {
+              type: 'string',
+              description: 'Short ID (e.g., "PROJ-1AB") or issue URL',
+            },
+          ],
+          description: 'Sentry issue: numeric ID, short ID or issue URL',
+        },
+        ticketKey: {
+          type: 'string',
+          description: "JIRA ticket key (e.g., 'MAN-123456')",
+        },
+        mechanism: {
+          type: 'string',
+          enum: ['auto', 'integration', 'remote_link'],
+          description:
+            '"auto" (default) tries the Sentry Jira integration and falls back to a remote link + note; "integration" only uses the integration; "remote_link" skips it',
+          default: 'auto',
+        },
+        integrationId: {
+          type: 'string',
+          description:
+            'Sentry Jira integration ID to use when several are installed. Default: the one matching the configured JIRA domain',
+        },
+      },
+      required: ['issueId', 'ticketKey'],
+    },
+  },
+  {
+    name: TOOL_NAMES.SEARCH_JIRA_ISSUES,
+    description:
+      'Search JIRA issues with JQL and return a compact table. Use it to find existing tickets before filing a duplicate (e.g. text ~ "NullPointerException") or to list open work (e.g. project = MAN AND type = Bug AND statusCategory != Done).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        jql: {
+          type: 'string',
+          description:
+            'JQL query, e.g. \'project = MAN AND status = "In Progress" AND assignee = currentUser()\'',
+        },
+        fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Columns to return, by field ID or name (e.g., ["summary", "status", "Story Points"]). Default: summary, status, priority, assignee, issuetype, updated',
+        },
+        orderBy: {
+          type: 'string',
+          description:
+            'Sort order appended as ORDER BY, e.g. "priority DESC, updated DESC". Leave out if the JQL already has ORDER BY',
+        },
+        maxResults: {
+          type: 'number',
+          description: 'Issues per page (1-100). Default: 25',
+          default: 25,
+        },
+        nextPageToken: {
+          type: 'string',
+          description: 'Token from the previous page to fetch the next one',
+        },
+      },
+      required: ['jql'],
+    },
+  },
+  {
+    name: TOOL_NAMES.ADD_JIRA_COMMENT,
+    description:
+      'Add a comment to a JIRA ticket. The body is Markdown (headings, **bold**, *italic*, `code`, fenced code blocks, bullet/numbered lists, links) and is converted to JIRA rich text.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        ticketKey: {
+          type: 'string',
+          description: "JIRA ticket key (e.g., 'MAN-123456')",
+        },
+        body: {
+          type: 'string',
+          description: 'Comment text in Markdown',
+        },
+        restrictToRole: {
+          type: 'string',
+          description: 'Only members of this project role can see the comment (e.g., "Developers")',
+        },
+        restrictToGroup: {
+          type: 'string',
+          description:
+            'Only members of this group can see the comment (e.g., "jira-software-users")',
+        },
+      },
+      required: ['ticketKey', 'body'],
+    },
+  },
+  {
+    name: TOOL_NAMES.GET_JIRA_TRANSITIONS,
+    description:
+      'List the workflow transitions available for a JIRA ticket in its current status, with the target status and the fields each transition screen asks for (required or optional, allowed values).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        ticketKey: {
+          type: 'string',
+          description: "JIRA ticket key (e.g., 'MAN-123456')",
+        },
+      },
+      required: ['ticketKey'],
+    },
+  },
+  {
+    name: TOOL_NAMES.TRANSITION_JIRA_ISSUE,
+    description:
+      'Change the status of a JIRA ticket by performing a workflow transition (status cannot be changed with EDIT_JIRA_ISSUE). Invalid transitions are reported with the list of valid ones.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...SHARED_PROPERTIES,
+        ticketKey: {
+          type: 'string',
+          description: "JIRA ticket key (e.g., 'MAN-123456')",
+        },
+        transition: {
+          type: 'string',
+          description:
+            'Transition name (e.g., "Start Progress"), transition ID, or target status name (e.g., "In Progress")',
+        },
+        resolution: {
+          type: 'string',
+          description:
+            'Resolution to set, if the transition screen has one (e.g., "Done", "Won\'t Do")',
+        },
+        fields: {
+          type: 'object',
+          description:
+            'Other transition screen fields by name or ID, e.g. { "Fix versions": ["1.2.0"] }',
+          additionalProperties: {},
+        },
+        comment: {
+          type: 'string',
+          description: 'Comment to add with the transition, in Markdown',
+        },
+      },
+      required: ['ticketKey', 'transition'],
+    },
+  },
 ];
 
 module.exports = {
@@ -114,7 +114,11 @@ class ErrorHandler {
    */
   static handleError(error, toolName) {
     // Handle validation errors from Zod
-    if (error.name === 'ZodError' || error.message.includes('validation failed')) {
+    if (
+      error.name === 'ZodError' ||
+      error instanceof ValidationError ||
+      error.message.includes('validation failed')
+    ) {
       return this.createValidationErrorResponse(error, toolName);
     }
 
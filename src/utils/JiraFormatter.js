@@ -1,3 +1,22 @@
+// Markdown list item: indentation, marker ("-", "*", "+", "1.", "1)") and text
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Label shown for each ADF panel type when rendered as a Markdown blockquote
+const ADF_PANEL_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  tip: 'Tip',
+  success: 'Success',
+  warning: 'Warning',
+  error: 'Error',
+};
+
+// Default Markdown length budgets for get_jira_issue_details, per mode
+const TEXT_BUDGETS = {
+  standard: { description: 500, comment: 200 },
+  deep: { description: 1000, comment: 500 },
+};
+
 class JiraFormatter {
   static INCLUDED_CUSTOM_FIELDS = [
     'Acceptance Criteria',
@@ -30,14 +49,30 @@ class JiraFormatter {
 
   /**
    * Format raw JIRA API response into structured data
+   *
+   * Description and comments are rendered as Markdown within a length budget, by default
+   * 500/200 characters in standard mode and 1000/500 in deep mode.
+   *
+   * @param {Object} [textOptions]
+   * @param {number} [textOptions.maxDescriptionLength] - Description budget in characters
+   * @param {number} [textOptions.maxCommentLength] - Budget for each comment in characters
    */
-  static formatJiraResponse(data, atlassianDomain, deepDetails, fieldMappings = {}) {
+  static formatJiraResponse(
+    data,
+    atlassianDomain,
+    deepDetails,
+    fieldMappings = {},
+    textOptions = {},
+  ) {
     const fields = data.fields || {};
+    const budgets = TEXT_BUDGETS[deepDetails ? 'deep' : 'standard'];
+    const maxDescriptionLength = textOptions.maxDescriptionLength || budgets.description;
+    const maxCommentLength = textOptions.maxCommentLength || budgets.comment;
 
     const summary = fields.summary || 'No summary available';
-    const description = (
-      this.extractTextFromDocument(fields.description) || 'No description available'
-    ).slice(0, deepDetails ? 1000 : 500); // 500 chars in standard mode, 1000 in deep mode
+    const description =
+      this.adfToMarkdown(fields.description, { maxLength: maxDescriptionLength }) ||
+      'No description available';
     const status = fields.status?.name || 'Unknown';
     const priority = fields.priority?.name || 'Unknown';
     const issueType = fields.issuetype?.name || 'Unknown';
@@ -48,12 +83,11 @@ class JiraFormatter {
     const timeSpent = fields.timespent ? this.formatTimeSpent(fields.timespent) : 'None';
 
     // Token-optimized comments: 2 in standard mode, 5 in deep mode
-    const recentComments = deepDetails
-      ? this.getRecentComments(fields.comment, 5)
-      : (this.getRecentComments(fields.comment, 2) || []).map(c => ({
-          ...c,
-          body: c.body ? c.body.slice(0, 200) : 'No comment body', // Reduced from 300 to 200
-        }));
+    const recentComments = this.getRecentComments(
+      fields.comment,
+      deepDetails ? 5 : 2,
+      maxCommentLength,
+    );
 
     const customFields = this.extractCustomFields(fields, fieldMappings);
     return {
@@ -105,7 +139,7 @@ class JiraFormatter {
       response += `Recent (${data.recentComments.length}) Comments:\n`;
       data.recentComments.forEach((comment, index) => {
         response += `\n${index + 1}. ${comment.author} (${comment.created})\n`;
-        response += `   ${comment.body}\n`;
+        response += `   ${comment.body.replace(/\n(?=.)/g, '\n   ')}\n`;
       });
     } else {
       response += 'No recent comments found.\n';
@@ -136,45 +170,6 @@ class JiraFormatter {
     return response;
   }
 
-  /**
-   * Extract text content from JIRA document format
-   */
-  static extractTextFromDocument(doc) {
-    if (!doc || !doc.content) return '';
-
-    let text = '';
-
-    const processContent = content => {
-      for (const item of content) {
-        if (item.type === 'paragraph' && item.content) {
-          for (const contentItem of item.content) {
-            if (contentItem.type === 'text' && contentItem.text) {
-              text += `${contentItem.text} `;
-            }
-          }
-          text += '\n';
-        } else if (item.type === 'bulletList' && item.content) {
-          for (const listItem of item.content) {
-            if (listItem.type === 'listItem' && listItem.content) {
-              text += '• ';
-              processContent(listItem.content);
-            }
-          }
-        } else if (item.type === 'orderedList' && item.content) {
-          item.content.forEach((listItem, index) => {
-            if (listItem.type === 'listItem' && listItem.content) {
-              text += `${index + 1}. `;
-              processContent(listItem.content);
-            }
-          });
-        }
-      }
-    };
-
-    processContent(doc.content);
-    return text.trim();
-  }
-
   /**
    * Format time spent in seconds to readable format
    */
@@ -192,9 +187,10 @@ class JiraFormatter {
   }
 
   /**
-   * Get recent comments from JIRA issue
+   * Get recent comments from JIRA issue, newest first, each body rendered as Markdown
+   * within maxLength characters
    */
-  static getRecentComments(comment, limit = 5) {
+  static getRecentComments(comment, limit = 5, maxLength = 500) {
     if (!comment || !comment.comments || comment.comments.length === 0) {
       return [];
     }
@@ -206,14 +202,12 @@ class JiraFormatter {
         const author = c.author?.displayName || 'Unknown';
         const created = c.created ? new Date(c.created).toLocaleDateString() : 'Unknown';
         const createdTime = c.created ? new Date(c.created).toLocaleTimeString() : 'Unknown';
-        const body = this.extractTextFromDocument(c.body) || 'No content';
 
         return {
           author,
           created,
           createdTime,
-          body: body.length > 500 ? `${body.substring(0, 500)}...` : body,
-          fullBody: body,
+          body: this.adfToMarkdown(c.body, { maxLength }) || 'No content',
         };
       })
       .reverse();
@@ -272,7 +266,7 @@ class JiraFormatter {
     if (!fieldValue) return null;
 
     if (fieldValue.type === 'doc' && fieldValue.content) {
-      return this.extractTextFromDocument(fieldValue);
+      return this.adfToMarkdown(fieldValue);
     }
 
     if (typeof fieldValue === 'string') {
@@ -315,6 +309,700 @@ class JiraFormatter {
 
     return JSON.stringify(fieldValue);
   }
+
+  // Search result helpers
+
+  /**
+   * Display text for any JIRA field value: names for objects (status, priority, user),
+   * Markdown for ADF, comma-separated lists, dates without the time.
+   */
+  static fieldValueText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return value.map(item => this.fieldValueText(item)).join(', ');
+    if (typeof value === 'object' && value.name) return value.name;
+    return String(this.formatCustomFieldValue(value, null) ?? '');
+  }
+
+  /**
+   * One markdown table cell: single line, pipes escaped, truncated to maxLength.
+   */
+  static formatSearchCell(value, maxLength = 80) {
+    const text = this.fieldValueText(value).replace(/\s+/g, ' ').trim();
+    const cell = text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+    return cell.replace(/\|/g, '\\|');
+  }
+
+  /**
+   * Render JQL search results as a markdown table: the issue key, then one column per field.
+   *
+   * @param {Array} issues - Issues from the search API
+   * @param {Array<{id: string, name: string}>} columns - Requested fields in display order
+   */
+  static searchResultsToMarkdown(issues, columns) {
+    if (!issues || issues.length === 0) return 'No issues found.';
+
+    const header = ['Key', ...columns.map(column => column.name)];
+    const lines = [`| ${header.join(' | ')} |`, `|${header.map(() => '---').join('|')}|`];
+
+    issues.forEach(issue => {
+      const cells = columns.map(column => this.formatSearchCell(issue.fields?.[column.id]));
+      lines.push(`| ${[issue.key, ...cells].join(' | ')} |`);
+    });
+
+    return lines.join('\n');
+  }
+
+  // Transition helpers
+
+  /**
+   * List transitions with their target status and screen fields.
+   */
+  static transitionsToMarkdown(ticketKey, transitions) {
+    if (!transitions || transitions.length === 0) {
+      return `No transitions are available for ${ticketKey} in its current status.`;
+    }
+
+    const lines = [`## Transitions for ${ticketKey}`, ''];
+    transitions.forEach(transition => {
+      const target = transition.to?.name ? ` -> ${transition.to.name}` : '';
+      lines.push(`- **${transition.name}** (ID ${transition.id})${target}`);
+
+      (transition.fields || []).forEach(field => {
+        const required = field.required && !field.hasDefaultValue ? 'required' : 'optional';
+        const allowed = (field.allowedValues || []).map(v => v.name ?? v.value ?? v.id);
+        const allowedText =
+          allowed.length > 0
+            ? `; allowed: ${allowed.slice(0, 15).join(', ')}${allowed.length > 15 ? ', ...' : ''}`
+            : '';
+        lines.push(`  - ${field.name} (${field.fieldId}), ${required}${allowedText}`);
+      });
+    });
+
+    lines.push('', 'Use transition_jira_issue with a transition name, ID or target status.');
+    return lines.join('\n');
+  }
+
+  // ADF node builders
+
+  /**
+   * ADF text node. Marks are mark type names ('strong', 'code') or full mark objects.
+   */
+  static adfText(text, marks = []) {
+    const node = { type: 'text', text: String(text) };
+    if (marks.length > 0) {
+      node.marks = marks.map(mark => (typeof mark === 'string' ? { type: mark } : mark));
+    }
+    return node;
+  }
+
+  static adfLink(text, href) {
+    return this.adfText(text, [{ type: 'link', attrs: { href } }]);
+  }
+
+  /**
+   * ADF paragraph from strings and inline nodes. Empty strings are dropped
+   * because Jira rejects empty text nodes.
+   */
+  static adfParagraph(...inline) {
+    return {
+      type: 'paragraph',
+      content: inline
+        .filter(item => item !== '' && item !== null && item !== undefined)
+        .map(item => (typeof item === 'string' ? this.adfText(item) : item)),
+    };
+  }
+
+  static adfHeading(text, level = 3) {
+    return { type: 'heading', attrs: { level }, content: [this.adfText(text)] };
+  }
+
+  /**
+   * ADF bullet list; each item is a string, an inline node or an array of either.
+   */
+  static adfBulletList(items) {
+    return {
+      type: 'bulletList',
+      content: items.map(item => ({
+        type: 'listItem',
+        content: [this.adfParagraph(...(Array.isArray(item) ? item : [item]))],
+      })),
+    };
+  }
+
+  static adfCodeBlock(text, language = null) {
+    return {
+      type: 'codeBlock',
+      ...(language ? { attrs: { language } } : {}),
+      content: text ? [this.adfText(text)] : [],
+    };
+  }
+
+  static adfDoc(content) {
+    return { type: 'doc', version: 1, content };
+  }
+
+  // Markdown to ADF
+
+  /**
+   * Convert Markdown to an ADF document. Supports headings, paragraphs (line breaks kept),
+   * fenced code blocks, bullet/numbered lists with nesting, blockquotes, horizontal rules
+   * and inline bold, italic, strikethrough, code and links.
+   */
+  static markdownToADF(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    return this.adfDoc(this.parseMarkdownBlocks(lines));
+  }
+
+  static parseMarkdownBlocks(lines) {
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length === 0) return;
+      const inline = [];
+      paragraph.forEach((line, index) => {
+        if (index > 0) inline.push({ type: 'hardBreak' });
+        inline.push(...this.parseMarkdownInline(line.trim()));
+      });
+      blocks.push({ type: 'paragraph', content: inline });
+      paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      const fence = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/.exec(line);
+      if (fence) {
+        flushParagraph();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Closing fence
+        blocks.push(this.adfCodeBlock(code.join('\n'), fence[2] || null));
+        continue;
+      }
+
+      if (!line.trim()) {
+        flushParagraph();
+        i++;
+        continue;
+      }
+
+      const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        flushParagraph();
+        blocks.push({
+          type: 'heading',
+          attrs: { level: heading[1].length },
+          content: this.parseMarkdownInline(heading[2]),
+        });
+        i++;
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        blocks.push({ type: 'rule' });
+        i++;
+        continue;
+      }
+
+      if (/^\s{0,3}>/.test(line)) {
+        flushParagraph();
+        const quoted = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+          i++;
+        }
+        blocks.push({ type: 'blockquote', content: this.parseMarkdownBlocks(quoted) });
+        continue;
+      }
+
+      if (MARKDOWN_LIST_ITEM.test(line)) {
+        flushParagraph();
+        const { node, next } = this.parseMarkdownList(lines, i);
+        blocks.push(node);
+        i = next;
+        continue;
+      }
+
+      paragraph.push(line);
+      i++;
+    }
+
+    flushParagraph();
+    return blocks;
+  }
+
+  /**
+   * Parse a list starting at lines[start]. Deeper-indented items become a nested list in
+   * the previous item; indented non-item lines continue the previous item's text.
+   *
+   * @returns {{node: Object, next: number}} The list node and the index of the first line after it
+   */
+  static parseMarkdownList(lines, start) {
+    const first = MARKDOWN_LIST_ITEM.exec(lines[start]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = { type: ordered ? 'orderedList' : 'bulletList', content: [] };
+    const startNumber = parseInt(first[2], 10);
+    if (ordered && startNumber !== 1) list.attrs = { order: startNumber };
+
+    let i = start;
+    while (i < lines.length) {
+      const line = lines[i];
+      const item = MARKDOWN_LIST_ITEM.exec(line);
+      const lastItem = list.content[list.content.length - 1];
+
+      if (!item) {
+        const lineIndent = line.length - line.trimStart().length;
+        const paragraph = lastItem?.content[0];
+        if (!line.trim() || lineIndent <= indent || !paragraph) break;
+        paragraph.content.push({ type: 'hardBreak' }, ...this.parseMarkdownInline(line.trim()));
+        i++;
+        continue;
+      }
+
+      const itemIndent = item[1].length;
+      if (itemIndent < indent) break;
+      if (itemIndent > indent && lastItem) {
+        const nested = this.parseMarkdownList(lines, i);
+        lastItem.content.push(nested.node);
+        i = nested.next;
+        continue;
+      }
+      // A different marker type at the same level starts a new list
+      if (/\d/.test(item[2]) !== ordered) break;
+
+      list.content.push({
+        type: 'listItem',
+        content: [this.adfParagraph(...this.parseMarkdownInline(item[3]))],
+      });
+      i++;
+    }
+
+    return { node: list, next: i };
+  }
+
+  /**
+   * Parse inline Markdown into ADF text nodes. Marks already applied by enclosing
+   * syntax are passed down; code spans keep only a link mark, as ADF requires.
+   */
+  static parseMarkdownInline(text, marks = []) {
+    const nodes = [];
+    let buffer = '';
+
+    const flush = () => {
+      if (buffer) nodes.push(this.adfText(buffer, marks));
+      buffer = '';
+    };
+    const withMark = mark =>
+      marks.some(existing => existing.type === mark.type) ? marks : [...marks, mark];
+    const inLink = marks.some(mark => mark.type === 'link');
+
+    let i = 0;
+    while (i < text.length) {
+      const rest = text.slice(i);
+      const previous = text[i - 1] || ' ';
+      let match;
+
+      if (rest[0] === '\\' && /[\\`*_~[\]()#+\-.!>|]/.test(rest[1] || '')) {
+        buffer += rest[1];
+        i += 2;
+        continue;
+      }
+
+      if ((match = /^`([^`]+)`/.exec(rest))) {
+        flush();
+        const codeMarks = marks.filter(mark => mark.type === 'link');
+        nodes.push(this.adfText(match[1], [...codeMarks, { type: 'code' }]));
+        i += match[0].length;
+        continue;
+      }
+
+      if (
+        !inLink &&
+        ((match = /^\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/.exec(rest)) ||
+          (match = /^<(https?:\/\/[^>\s]+)>/.exec(rest)) ||
+          (/\s|\(/.test(previous) && (match = /^https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/.exec(rest))))
+      ) {
+        flush();
+        const href = match[2] || match[1] || match[0];
+        const label = match[2] ? match[1] : href;
+        const linkMarks = withMark({ type: 'link', attrs: { href } });
+        nodes.push(
+          ...(match[2]
+            ? this.parseMarkdownInline(label, linkMarks)
+            : [this.adfText(label, linkMarks)]),
+        );
+        i += match[0].length;
+        continue;
+      }
+
+      const emphasis =
+        /^(\*\*|__)(?=\S)([\s\S]*?\S)\1(?!\w)/.exec(rest) ||
+        /^(~~)(?=\S)([\s\S]*?\S)~~/.exec(rest) ||
+        /^(\*|_)(?=\S)([\s\S]*?\S)\1(?!\w)/.exec(rest);
+      // Underscores inside words (snake_case) are not emphasis
+      if (emphasis && !(emphasis[1][0] === '_' && /\w/.test(previous))) {
+        flush();
+        const type = emphasis[1] === '~~' ? 'strike' : emphasis[1].length === 2 ? 'strong' : 'em';
+        nodes.push(...this.parseMarkdownInline(emphasis[2], withMark({ type })));
+        i += emphasis[0].length;
+        continue;
+      }
+
+      buffer += rest[0];
+      i++;
+    }
+
+    flush();
+    return nodes;
+  }
+
+  // ADF to Markdown
+
+  /**
+   * Render an ADF document (description, comment, rich text field) as Markdown.
+   *
+   * Top-level blocks are kept whole while they fit in maxLength; the rest are dropped
+   * and replaced by a note saying how much was omitted. A single block larger than the
+   * whole budget is cut at the last line or word break instead.
+   *
+   * @param {Object|string} doc - ADF document; plain strings are returned as-is
+   * @param {Object} [options]
+   * @param {number} [options.maxLength=Infinity] - Character budget for the output
+   */
+  static adfToMarkdown(doc, { maxLength = Infinity } = {}) {
+    if (!doc) return '';
+    if (typeof doc === 'string') return doc;
+
+    const blocks = (doc.content || []).map(node => this.renderAdfBlock(node)).filter(Boolean);
+
+    let output = '';
+    for (let i = 0; i < blocks.length; i++) {
+      const next = output ? `${output}\n\n${blocks[i]}` : blocks[i];
+      if (next.length <= maxLength) {
+        output = next;
+        continue;
+      }
+
+      const remaining = blocks.slice(i);
+      const omittedChars = remaining.reduce((sum, block) => sum + block.length, 0);
+      if (output) {
+        const blockCount = `${remaining.length} more block${remaining.length === 1 ? '' : 's'}`;
+        return `${output}\n\n_[${blockCount} (${omittedChars} characters) omitted]_`;
+      }
+
+      const kept = this.cutMarkdownBlock(blocks[i], maxLength);
+      const closedFence = (kept.match(/^```/gm) || []).length % 2 === 1 ? '\n```' : '';
+      return `${kept}${closedFence}\n\n_[${omittedChars - kept.length} more characters omitted]_`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Cut one oversized block at a line or word break, or at maxLength if there is none
+   * in its second half.
+   */
+  static cutMarkdownBlock(block, maxLength) {
+    const slice = block.slice(0, maxLength);
+    const lastBreak = Math.max(slice.lastIndexOf('\n'), slice.lastIndexOf(' '));
+    return lastBreak > maxLength / 2 ? slice.slice(0, lastBreak) : slice;
+  }
+
+  static renderAdfBlocks(nodes = [], separator = '\n\n') {
+    return nodes
+      .map(node => this.renderAdfBlock(node))
+      .filter(Boolean)
+      .join(separator);
+  }
+
+  static renderAdfBlock(node) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'paragraph':
+        return this.renderAdfInline(node.content).trim();
+      case 'heading':
+        return `${'#'.repeat(attrs.level || 1)} ${this.renderAdfInline(node.content).trim()}`;
+      case 'bulletList':
+        return this.renderAdfList(node.content, () => '- ');
+      case 'orderedList':
+        return this.renderAdfList(node.content, index => `${(attrs.order || 1) + index}. `);
+      case 'taskList':
+        return this.renderAdfList(node.content, (index, item) =>
+          item.attrs?.state === 'DONE' ? '- [x] ' : '- [ ] ',
+        );
+      case 'decisionList':
+        return this.renderAdfList(node.content, () => '- Decision: ');
+      case 'codeBlock': {
+        const code = (node.content || []).map(child => child.text || '').join('');
+        const fence = code.includes('```') ? '~~~' : '```';
+        return `${fence}${attrs.language || ''}\n${code}\n${fence}`;
+      }
+      case 'blockquote':
+        return this.quoteMarkdown(this.renderAdfBlocks(node.content));
+      case 'panel': {
+        const label = ADF_PANEL_LABELS[attrs.panelType] || 'Note';
+        return this.quoteMarkdown(`**${label}:** ${this.renderAdfBlocks(node.content)}`);
+      }
+      case 'rule':
+        return '---';
+      case 'table':
+        return this.renderAdfTable(node);
+      case 'expand':
+      case 'nestedExpand':
+        return [`**${attrs.title || 'Details'}**`, this.renderAdfBlocks(node.content)]
+          .filter(Boolean)
+          .join('\n\n');
+      case 'mediaSingle':
+      case 'mediaGroup':
+        return this.renderAdfBlocks(node.content, '\n');
+      case 'media':
+      case 'mediaInline':
+        if (attrs.type === 'external' && attrs.url) return `![${attrs.alt || ''}](${attrs.url})`;
+        return `[attachment: ${attrs.alt || attrs.id || 'file'}]`;
+      case 'blockCard':
+      case 'embedCard': {
+        const url = attrs.url || attrs.data?.url;
+        return url ? `<${url}>` : '';
+      }
+      case 'extension':
+      case 'bodiedExtension':
+        return [
+          `[extension: ${attrs.extensionKey || 'unknown'}]`,
+          this.renderAdfBlocks(node.content),
+        ]
+          .filter(Boolean)
+          .join('\n\n');
+      default:
+        // Unknown block types: keep whatever text they contain
+        if (node.text) return node.text;
+        return node.content ? this.renderAdfBlocks(node.content) : '';
+    }
+  }
+
+  /**
+   * Render list items with a marker per item; continuation lines and nested lists are
+   * indented under the item text.
+   *
+   * @param {Array} items - listItem, taskItem or decisionItem nodes (or nested lists)
+   * @param {Function} marker - (index, item) => marker string, e.g. "- " or "3. "
+   */
+  static renderAdfList(items = [], marker) {
+    let index = 0;
+    return items
+      .map(item => {
+        if (['bulletList', 'orderedList', 'taskList', 'decisionList'].includes(item.type)) {
+          return this.renderAdfBlock(item).replace(/^/gm, '  ');
+        }
+
+        const prefix = marker(index++, item);
+        const body = ['taskItem', 'decisionItem'].includes(item.type)
+          ? this.renderAdfInline(item.content).trim()
+          : this.renderAdfBlocks(item.content, '\n');
+        return prefix + body.replace(/\n/g, `\n${' '.repeat(prefix.length)}`);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Render an ADF table as a Markdown table. Markdown needs a header row, so the first
+   * row is used as one; cell content is flattened to a single line.
+   */
+  static renderAdfTable(node) {
+    const rows = (node.content || []).map(row =>
+      (row.content || []).map(cell =>
+        this.renderAdfBlocks(cell.content, ' ')
+          .replace(/\s*\n\s*/g, ' ')
+          .replace(/\|/g, '\\|')
+          .trim(),
+      ),
+    );
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const line = row => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`;
+    const [header, ...body] = rows;
+
+    return [line(header), `|${Array(width).fill('---').join('|')}|`, ...body.map(line)].join('\n');
+  }
+
+  static quoteMarkdown(text) {
+    return text
+      .split('\n')
+      .map(line => (line ? `> ${line}` : '>'))
+      .join('\n');
+  }
+
+  /**
+   * Render ADF inline nodes. Adjacent text nodes with the same marks are merged first
+   * so that Jira's run splitting does not produce "**a****b**".
+   */
+  static renderAdfInline(nodes = []) {
+    const merged = [];
+    (nodes || []).forEach(node => {
+      const previous = merged[merged.length - 1];
+      if (
+        node.type === 'text' &&
+        previous?.type === 'text' &&
+        JSON.stringify(previous.marks || []) === JSON.stringify(node.marks || [])
+      ) {
+        merged[merged.length - 1] = { ...previous, text: previous.text + node.text };
+      } else {
+        merged.push(node);
+      }
+    });
+
+    return merged.map(node => this.renderAdfInlineNode(node)).join('');
+  }
+
+  static renderAdfInlineNode(node) {
+    const attrs = node.attrs || {};
+
+    switch (node.type) {
+      case 'text':
+        return this.applyAdfMarks(node.text || '', node.marks);
+      case 'hardBreak':
+        return '\n';
+      case 'mention': {
+        const name = attrs.text || attrs.id || 'user';
+        return name.startsWith('@') ? name : `@${name}`;
+      }
+      case 'emoji':
+        return attrs.text || attrs.shortName || '';
+      case 'inlineCard': {
+        const url = attrs.url || attrs.data?.url;
+        return url ? `<${url}>` : '';
+      }
+      case 'date': {
+        const timestamp = Number(attrs.timestamp);
+        return Number.isFinite(timestamp) ? new Date(timestamp).toISOString().slice(0, 10) : '';
+      }
+      case 'status':
+        return attrs.text ? `[${attrs.text.toUpperCase()}]` : '';
+      case 'placeholder':
+        return attrs.text || '';
+      case 'mediaInline':
+        return this.renderAdfBlock(node);
+      case 'inlineExtension':
+        return `[extension: ${attrs.extensionKey || 'unknown'}]`;
+      default:
+        if (node.text) return node.text;
+        return node.content ? this.renderAdfInline(node.content) : '';
+    }
+  }
+
+  /**
+   * Wrap text in Markdown for its marks. Surrounding whitespace is kept outside the
+   * markers, which Markdown requires; marks without a Markdown form (underline,
+   * textColor, subsup) are dropped.
+   */
+  static applyAdfMarks(text, marks = []) {
+    const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    if (!core) return text;
+
+    const mark = type => (marks || []).find(m => m.type === type);
+    let output = core;
+    if (mark('code')) output = core.includes('`') ? `\`\` ${core} \`\`` : `\`${core}\``;
+    if (mark('em')) output = `*${output}*`;
+    if (mark('strong')) output = `**${output}**`;
+    if (mark('strike')) output = `~~${output}~~`;
+    if (mark('link')?.attrs?.href) output = `[${output}](${mark('link').attrs.href})`;
+
+    return `${leading}${output}${trailing}`;
+  }
+
+  /**
+   * Summary line for a ticket created from a Sentry issue, within Jira's 255 character limit.
+   */
+  static sentryIssueSummary(issue) {
+    const summary = `[Sentry] ${issue.shortId ? `${issue.shortId}: ` : ''}${issue.title}`;
+    return summary.length > 255 ? `${summary.slice(0, 252)}...` : summary;
+  }
+
+  /**
+   * Build the ADF description of a ticket created from a Sentry issue.
+   *
+   * issue: { shortId, title, culprit, level, project, count, userCount, firstSeen, lastSeen,
+   * permalink, exception, environments, releases, stacktrace, frameCount }, where
+   * environments/releases are [{ name, count, percent }] and stacktrace is preformatted text.
+   */
+  static sentryIssueToADF(issue) {
+    const content = [];
+    const sourceLabel = issue.shortId || 'Sentry issue';
+
+    content.push(
+      this.adfParagraph(
+        'Created from Sentry issue ',
+        issue.permalink ? this.adfLink(sourceLabel, issue.permalink) : sourceLabel,
+        issue.project ? ` in project ${issue.project}.` : '.',
+      ),
+    );
+
+    content.push(this.adfHeading('Error'));
+    content.push(this.adfParagraph(this.adfText(issue.title, ['strong'])));
+    if (issue.exception?.value && !issue.title.includes(issue.exception.value)) {
+      content.push(
+        this.adfParagraph(
+          issue.exception.type ? `${issue.exception.type}: ` : '',
+          issue.exception.value,
+        ),
+      );
+    }
+    if (issue.culprit) {
+      content.push(this.adfParagraph('Culprit: ', this.adfText(issue.culprit, ['code'])));
+    }
+
+    content.push(this.adfHeading('Impact'));
+    content.push(
+      this.adfBulletList([
+        `Events: ${issue.count ?? 'Unknown'}`,
+        `Users affected: ${issue.userCount ?? 0}`,
+        ...(issue.level ? [`Level: ${issue.level}`] : []),
+        `First seen: ${issue.firstSeen || 'Unknown'}`,
+        `Last seen: ${issue.lastSeen || 'Unknown'}`,
+      ]),
+    );
+
+    const breakdown = (heading, values) => {
+      content.push(this.adfHeading(heading));
+      if (!values || values.length === 0) {
+        content.push(this.adfParagraph('No data'));
+        return;
+      }
+      content.push(
+        this.adfBulletList(
+          values.map(v => [
+            this.adfText(v.name, ['code']),
+            ` ${v.count} events${v.percent !== null && v.percent !== undefined ? ` (${v.percent}%)` : ''}`,
+          ]),
+        ),
+      );
+    };
+    breakdown('Environments', issue.environments);
+    breakdown('Releases', issue.releases);
+
+    if (issue.stacktrace) {
+      content.push(this.adfHeading(`Stack trace (top ${issue.frameCount} frames)`));
+      content.push(this.adfCodeBlock(issue.stacktrace));
+    }
+
+    if (issue.permalink) {
+      content.push(this.adfHeading('Sentry'));
+      content.push(this.adfParagraph(this.adfLink(issue.permalink, issue.permalink)));
+    }
+
+    return this.adfDoc(content);
+  }
 }
 
 module.exports = JiraFormatter;
@@ -1,3 +1,7 @@
+// Request header and query parameter names whose values are credentials or session data
+const SENSITIVE_REQUEST_KEY =
+  /^(authorization|proxy-authorization|cookie|set-cookie)$|api[-_]?key|token|secret|password|session|csrf|xsrf/i;
+
 class SentryFormatter {
   /**
    * Summarize a tag object returned by Sentry API.
@@ -52,6 +56,7 @@ class SentryFormatter {
     tagsArray = null,
     latestEvent = null,
     checkDeepDetails = false,
+    frameOptions = {},
   ) {
     if (!issueDetails) return null;
 
@@ -139,6 +144,12 @@ class SentryFormatter {
       formatted.tagsSummary = this.extractRelevantTags(tagsArray, 5);
     }
 
+    // Trace ID lets the caller follow the error into other services with get_sentry_trace
+    const traceId = latestEvent?.contexts?.trace?.trace_id;
+    if (traceId) {
+      formatted.traceId = traceId;
+    }
+
     // Add stacktrace from latest event
     if (latestEvent) {
       const stacktraceEntry = latestEvent.entries?.find(
@@ -146,15 +157,12 @@ class SentryFormatter {
       );
       if (stacktraceEntry && stacktraceEntry.data?.values?.[0]?.stacktrace?.frames) {
         const frames = stacktraceEntry.data.values[0].stacktrace.frames;
-        formatted.stacktrace = frames
-          .reverse() // More readable order
-          .slice(0, checkDeepDetails ? 20 : 10) // Limit frames for token efficiency
-          .map(f => {
-            const file = f.filename ? f.filename.split('/').pop() : '<unknown>';
-            const func = f.function || '?';
-            return `${file}:${f.lineno} in ${func}`;
-          })
-          .join('\n');
+        // Limit frames for token efficiency
+        formatted.stacktrace = this.formatStackFrames(
+          frames,
+          checkDeepDetails ? 20 : 10,
+          frameOptions,
+        );
 
         // Add exception details in deep details mode
         if (checkDeepDetails && stacktraceEntry.data?.values?.[0]) {
@@ -171,6 +179,116 @@ class SentryFormatter {
     return formatted;
   }
 
+  /**
+   * Normalize a stack frame. The event API serializes frames in camelCase
+   * (lineNo, inApp, context pairs) while raw payloads use snake_case.
+   */
+  static normalizeFrame(f) {
+    const lineno = f.lineno ?? f.lineNo;
+    let preContext = f.pre_context || [];
+    let contextLine = f.context_line;
+    let postContext = f.post_context || [];
+
+    // camelCase payloads carry source as [[lineNo, code], ...]
+    if (contextLine === undefined && Array.isArray(f.context) && lineno !== undefined) {
+      preContext = f.context.filter(([n]) => n < lineno).map(([, code]) => code);
+      contextLine = f.context.find(([n]) => n === lineno)?.[1];
+      postContext = f.context.filter(([n]) => n > lineno).map(([, code]) => code);
+    }
+
+    return {
+      filename: f.filename || f.absPath || f.abs_path,
+      lineno,
+      colno: f.colno ?? f.colNo,
+      function: f.function,
+      module: f.module || f.package,
+      inApp: f.in_app ?? f.inApp,
+      preContext,
+      contextLine,
+      postContext,
+      vars: f.vars,
+    };
+  }
+
+  /**
+   * Render frame variables on one line, capping the number and size of values.
+   */
+  static formatFrameVars(vars, maxVars = 10, maxVarLength = 100) {
+    if (!vars || typeof vars !== 'object') return '';
+    const entries = Object.entries(vars);
+    if (entries.length === 0) return '';
+
+    const shown = entries
+      .slice(0, maxVars)
+      .map(([name, value]) => `${name}=${this.truncate(value, maxVarLength)}`);
+    const more = entries.length > maxVars ? `, ... (${entries.length - maxVars} more)` : '';
+    return `${shown.join(', ')}${more}`;
+  }
+
+  /**
+   * Render stack frames as `file:line in func`, innermost frame first.
+   *
+   * Options:
+   * - inAppOnly: keep only application frames (falls back to all frames if none are in-app)
+   * - contextLines: lines of source to show before and after each frame's line
+   * - includeVariables: show local variables, capped by maxVars and maxVarLength
+   * - showFrameInfo: add column, module/package and an [app]/[lib] marker
+   */
+  static formatStackFrames(frames, maxFrames = 10, options = {}) {
+    if (!Array.isArray(frames)) return '';
+
+    const {
+      inAppOnly = false,
+      contextLines = 0,
+      includeVariables = false,
+      maxVars = 10,
+      maxVarLength = 100,
+      showFrameInfo = false,
+    } = options;
+
+    let normalized = frames.map(f => this.normalizeFrame(f));
+    if (inAppOnly && normalized.some(f => f.inApp)) {
+      normalized = normalized.filter(f => f.inApp);
+    }
+
+    return normalized
+      .reverse() // More readable order
+      .slice(0, maxFrames)
+      .map(f => {
+        const file = f.filename ? f.filename.split('/').pop() : '<unknown>';
+        const func = f.function || '?';
+
+        if (!showFrameInfo) {
+          return `${file}:${f.lineno} in ${func}`;
+        }
+
+        const column = f.colno ? `:${f.colno}` : '';
+        const module = f.module ? ` (${f.module})` : '';
+        const marker = f.inApp === undefined ? '' : f.inApp ? ' [app]' : ' [lib]';
+        const lines = [`${file}:${f.lineno}${column} in ${func}${module}${marker}`];
+
+        if (contextLines > 0 && f.contextLine !== undefined && f.lineno !== undefined) {
+          const pre = f.preContext.slice(-contextLines);
+          const post = f.postContext.slice(0, contextLines);
+          const width = String(f.lineno + post.length).length;
+          const sourceLine = (n, code, current) =>
+            `  ${current ? '>' : ' '} ${String(n).padStart(width)} | ${code}`;
+
+          pre.forEach((code, i) => lines.push(sourceLine(f.lineno - pre.length + i, code)));
+          lines.push(sourceLine(f.lineno, f.contextLine, true));
+          post.forEach((code, i) => lines.push(sourceLine(f.lineno + i + 1, code)));
+        }
+
+        if (includeVariables) {
+          const vars = this.formatFrameVars(f.vars, maxVars, maxVarLength);
+          if (vars) lines.push(`    vars: ${vars}`);
+        }
+
+        return lines.join('\n');
+      })
+      .join('\n');
+  }
+
   /**
    * Format an array of Sentry issue objects using formatIssueDetails.
    * @param {Array} issuesArray Raw issues array from Sentry API
@@ -211,6 +329,9 @@ class SentryFormatter {
     if (issueObj.type) {
       lines.push(`Type: ${issueObj.type}`);
     }
+    if (issueObj.traceId) {
+      lines.push(`Trace ID: ${issueObj.traceId} (latest event, follow with get_sentry_trace)`);
+    }
 
     if (issueObj.metadata && Object.keys(issueObj.metadata).length > 0) {
       lines.push('\nMetadata:');
@@ -246,6 +367,10 @@ class SentryFormatter {
       lines.push(issueObj.stacktrace);
     }
 
+    if (issueObj.suspectCommits) {
+      lines.push(this.suspectCommitsToMarkdown(issueObj.suspectCommits));
+    }
+
     if (issueObj.tagsSummary) {
       lines.push('\nEnvironment Summary:');
       Object.entries(issueObj.tagsSummary).forEach(([tagKey, values]) => {
@@ -260,6 +385,1340 @@ class SentryFormatter {
     return lines.join('\n');
   }
 
+  // ---------- Suspect commit helpers ----------
+  // Strip URL origins and bundler prefixes so frame paths compare with repository paths
+  static normalizeSourcePath(path) {
+    return (path || '')
+      .replace(/^[a-z]+:\/\/[^/]*/i, '')
+      .replace(/^(\.?\/)+/, '')
+      .replace(/^~\//, '');
+  }
+
+  // Two paths match when one is a whole-segment suffix of the other
+  static sourcePathsMatch(a, b) {
+    const x = this.normalizeSourcePath(a);
+    const y = this.normalizeSourcePath(b);
+    if (!x || !y) return false;
+    const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+    return longer === shorter || longer.endsWith(`/${shorter}`);
+  }
+
+  /**
+   * All stack frames of an event's exceptions, normalized, innermost first.
+   */
+  static getEventFrames(event) {
+    const entry = event?.entries?.find(e => e.type === 'exception' || e.type === 'stacktrace');
+    const values = entry?.data?.values || (entry?.data?.frames ? [{ stacktrace: entry.data }] : []);
+    return values
+      .flatMap(v => v.stacktrace?.frames || [])
+      .map(f => this.normalizeFrame(f))
+      .reverse();
+  }
+
+  /**
+   * SHA of the commit a commitfiles entry belongs to, when the response carries one
+   */
+  static commitFileSha(file) {
+    const commit = file.commit ?? file.commitId;
+    return (typeof commit === 'object' ? commit?.id : commit) || null;
+  }
+
+  /**
+   * Files changed by one commit. Entries are matched by commit SHA; entries without one
+   * fall back to the commit message, but only when no other suspect commit has the same
+   * message, so commits called "fix" cannot pick up each other's files.
+   */
+  static filesForCommit(commit, commitFiles, messageCounts) {
+    const message = (commit.message || '').trim();
+    const uniqueMessage = message && messageCounts.get(message) === 1;
+
+    return commitFiles
+      .filter(file => {
+        const sha = this.commitFileSha(file);
+        if (sha) return Boolean(commit.id) && sha === commit.id;
+        return uniqueMessage && (file.commitMessage || '').trim() === message;
+      })
+      .map(file => file.filename);
+  }
+
+  /**
+   * Compact the committers response into a flat list of suspect commits.
+   * commitFiles (from the release's commitfiles endpoint) are matched to commits (see
+   * filesForCommit), then to the event's in-app frames by path, giving `file:line in func`.
+   */
+  static formatSuspectCommits(committersResponse, event = null, commitFiles = []) {
+    const frames = this.getEventFrames(event);
+    const appFrames = frames.some(f => f.inApp) ? frames.filter(f => f.inApp) : frames;
+
+    const committers = committersResponse?.committers || [];
+    const messageCounts = new Map();
+    committers
+      .flatMap(committer => committer.commits || [])
+      .forEach(commit => {
+        const message = (commit.message || '').trim();
+        messageCounts.set(message, (messageCounts.get(message) || 0) + 1);
+      });
+
+    return committers.flatMap(committer =>
+      (committer.commits || []).map(commit => {
+        const files = this.filesForCommit(commit, commitFiles, messageCounts);
+        const matchedFrames = appFrames
+          .filter(frame => files.some(file => this.sourcePathsMatch(frame.filename, file)))
+          .map(frame => `${frame.filename}:${frame.lineno} in ${frame.function || '?'}`);
+
+        return {
+          sha: commit.id,
+          message: this.truncate((commit.message || '').split('\n')[0], 120),
+          author: committer.author
+            ? committer.author.name || committer.author.email || committer.author.username
+            : null,
+          authorEmail: committer.author?.email || null,
+          date: commit.dateCreated,
+          repository: commit.repository?.name || null,
+          pullRequest: commit.pullRequest?.externalUrl || null,
+          type: commit.suspectCommitType || null,
+          matchedFrames: [...new Set(matchedFrames)],
+        };
+      }),
+    );
+  }
+
+  static suspectCommitsToMarkdown(suspects) {
+    const lines = ['\nSuspect Commits:'];
+    if (!suspects.available) {
+      lines.push(suspects.reason);
+      return lines.join('\n');
+    }
+
+    suspects.commits.forEach(commit => {
+      const sha = commit.sha ? commit.sha.slice(0, 12) : '<unknown>';
+      const via = commit.type ? ` (${commit.type})` : '';
+      lines.push(`- ${sha} ${commit.message}${via}`);
+      lines.push(
+        `  Author: ${commit.author || 'Unknown'}${
+          commit.authorEmail && commit.authorEmail !== commit.author
+            ? ` <${commit.authorEmail}>`
+            : ''
+        }, ${commit.date || 'date unknown'}`,
+      );
+      if (commit.repository) lines.push(`  Repository: ${commit.repository}`);
+      if (commit.pullRequest) lines.push(`  Pull Request: ${commit.pullRequest}`);
+      lines.push(
+        `  Matched Frames: ${
+          commit.matchedFrames.length > 0 ? commit.matchedFrames.join(', ') : 'None found'
+        }`,
+      );
+    });
+    return lines.join('\n');
+  }
+
+  // ---------- Event helpers ----------
+  // Tags shown first in per-event summaries; release, environment and user are shown separately
+  static EVENT_TAG_PRIORITY = [
+    'browser',
+    'os',
+    'device',
+    'runtime',
+    'url',
+    'transaction',
+    'server_name',
+    'handled',
+    'level',
+  ];
+
+  static EVENT_TAG_EXCLUDED = ['release', 'environment', 'user', 'sentry:release', 'sentry:user'];
+
+  /**
+   * Pick the most useful tags of an event as a flat key/value object.
+   */
+  static pickEventTags(tags, maxTags = 6) {
+    if (!Array.isArray(tags)) return {};
+
+    const candidates = tags.filter(t => !this.EVENT_TAG_EXCLUDED.includes(t.key));
+    const rank = key => {
+      const index = this.EVENT_TAG_PRIORITY.indexOf(key);
+      return index === -1 ? this.EVENT_TAG_PRIORITY.length : index;
+    };
+
+    const picked = {};
+    candidates
+      .sort((a, b) => rank(a.key) - rank(b.key))
+      .slice(0, maxTags)
+      .forEach(t => {
+        picked[t.key] = t.value;
+      });
+    return picked;
+  }
+
+  /**
+   * Compact summary of a single event as returned by the issue events list.
+   */
+  static formatEventSummary(event) {
+    if (!event) return null;
+
+    const tags = Array.isArray(event.tags) ? event.tags : [];
+    const tagValue = key => tags.find(t => t.key === key)?.value || null;
+
+    // Prefer the exception entry (only present with full=true), then the title
+    const exceptionEntry = event.entries?.find(e => e.type === 'exception');
+    const exception = exceptionEntry?.data?.values?.slice(-1)[0];
+    const message = exception
+      ? `${exception.type || 'Error'}: ${exception.value || ''}`.trim()
+      : event.message || event.title || null;
+
+    const user = event.user
+      ? event.user.email ||
+        event.user.username ||
+        event.user.id ||
+        event.user.ip_address ||
+        event.user.name ||
+        null
+      : tagValue('user');
+
+    return {
+      eventId: event.eventID || event.id,
+      timestamp: event.dateCreated,
+      release: tagValue('release') || tagValue('sentry:release'),
+      environment: tagValue('environment'),
+      user,
+      message,
+      tags: this.pickEventTags(tags),
+    };
+  }
+
+  static formatEventsList(eventsArray) {
+    if (!Array.isArray(eventsArray)) return [];
+    return eventsArray.map(e => this.formatEventSummary(e));
+  }
+
+  /**
+   * Count how formatted events spread across releases, environments and users.
+   */
+  static summarizeEvents(formattedEvents) {
+    const countBy = key =>
+      formattedEvents.reduce((acc, e) => {
+        const value = e[key] || '<none>';
+        acc[value] = (acc[value] || 0) + 1;
+        return acc;
+      }, {});
+
+    return {
+      releases: countBy('release'),
+      environments: countBy('environment'),
+      uniqueUsers: new Set(formattedEvents.map(e => e.user).filter(Boolean)).size,
+    };
+  }
+
+  // ---------- Event detail helpers ----------
+  static EVENT_SECTIONS = ['exceptions', 'breadcrumbs', 'request', 'contexts', 'tags', 'user'];
+
+  static truncate(value, maxLength = 200) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+  }
+
+  /**
+   * Format every exception in the chain, outermost first. Sentry orders the
+   * values from the original cause to the exception that was finally raised.
+   */
+  static formatExceptionChain(event, maxFrames = 10, frameOptions = {}) {
+    const entry = event?.entries?.find(e => e.type === 'exception');
+    const values = entry?.data?.values;
+    if (!Array.isArray(values) || values.length === 0) return [];
+
+    return [...values].reverse().map(exception => {
+      const formatted = {
+        type: exception.type,
+        value: exception.value,
+      };
+      if (exception.module) formatted.module = exception.module;
+      if (exception.mechanism) {
+        formatted.mechanism = {
+          type: exception.mechanism.type,
+          handled: exception.mechanism.handled,
+        };
+      }
+      if (exception.stacktrace?.frames) {
+        formatted.stacktrace = this.formatStackFrames(
+          exception.stacktrace.frames,
+          maxFrames,
+          frameOptions,
+        );
+      }
+      return formatted;
+    });
+  }
+
+  /**
+   * Describe a breadcrumb's data payload in a single short string.
+   */
+  static formatBreadcrumbData(crumb) {
+    const data = crumb.data;
+    if (!data || Object.keys(data).length === 0) return '';
+
+    if (crumb.type === 'http' || crumb.category === 'fetch' || crumb.category === 'xhr') {
+      const status = data.status_code !== undefined ? ` -> ${data.status_code}` : '';
+      return `${data.method || 'GET'} ${data.url || ''}${status}`.trim();
+    }
+    if (crumb.category === 'navigation' || crumb.type === 'navigation') {
+      return `${data.from || '?'} -> ${data.to || '?'}`;
+    }
+    return this.truncate(data, 150);
+  }
+
+  /**
+   * Format the last N breadcrumbs as one line each.
+   */
+  static formatBreadcrumbs(event, limit = 30) {
+    const entry = event?.entries?.find(e => e.type === 'breadcrumbs');
+    const values = entry?.data?.values;
+    if (!Array.isArray(values) || values.length === 0) return { total: 0, lines: [] };
+
+    const lines = values.slice(-limit).map(crumb => {
+      // Timestamps are ISO strings, or seconds since epoch in older payloads
+      const date =
+        typeof crumb.timestamp === 'number'
+          ? new Date(crumb.timestamp * 1000)
+          : new Date(crumb.timestamp);
+      const time = crumb.timestamp && !isNaN(date) ? date.toISOString().slice(11, 23) : '--';
+      const category = crumb.category || crumb.type || 'default';
+      const level = crumb.level && crumb.level !== 'info' ? ` ${crumb.level}` : '';
+      const message = crumb.message ? ` ${this.truncate(crumb.message, 200)}` : '';
+      const data = this.formatBreadcrumbData(crumb);
+      return `${time} [${category}]${level}${message}${data ? ` | ${data}` : ''}`;
+    });
+
+    return { total: values.length, lines };
+  }
+
+  /**
+   * Format the HTTP request entry of an event.
+   */
+  static formatRequest(event) {
+    const entry = event?.entries?.find(e => e.type === 'request');
+    const data = entry?.data;
+    if (!data) return null;
+
+    const pairsToObject = pairs =>
+      Array.isArray(pairs)
+        ? pairs.reduce((acc, pair) => {
+            if (Array.isArray(pair)) acc[pair[0]] = pair[1];
+            return acc;
+          }, {})
+        : pairs || {};
+
+    const formatted = {
+      method: data.method,
+      url: data.url,
+    };
+
+    // Credentials and cookies are never passed on, even if Sentry did not scrub them
+    const redact = (key, value) => (SENSITIVE_REQUEST_KEY.test(key) ? '[Redacted]' : value);
+
+    const query = pairsToObject(data.query);
+    if (typeof query === 'string') {
+      if (query) formatted.query = this.redactQueryString(query, redact);
+    } else if (Object.keys(query).length > 0) {
+      formatted.query = Object.fromEntries(
+        Object.entries(query).map(([key, value]) => [key, redact(key, value)]),
+      );
+    }
+
+    const headers = pairsToObject(data.headers);
+    if (Object.keys(headers).length > 0) {
+      formatted.headers = Object.fromEntries(
+        Object.entries(headers).map(([key, value]) => [
+          key,
+          redact(key, this.truncate(value, 200)),
+        ]),
+      );
+    }
+
+    if (data.data) {
+      formatted.body = this.truncate(data.data, 500);
+    }
+    if (data.inferredContentType) {
+      formatted.contentType = data.inferredContentType;
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Apply redact(key, value) to each parameter of a raw query string.
+   */
+  static redactQueryString(query, redact) {
+    return query
+      .split('&')
+      .map(part => {
+        const separator = part.indexOf('=');
+        if (separator === -1) return part;
+        const key = part.slice(0, separator);
+        return `${key}=${redact(key, part.slice(separator + 1))}`;
+      })
+      .join('&');
+  }
+
+  /**
+   * Format event contexts (browser, os, runtime, device, ...) as one line each.
+   */
+  static formatContexts(event) {
+    const contexts = event?.contexts;
+    if (!contexts || Object.keys(contexts).length === 0) return {};
+
+    const formatted = {};
+    Object.entries(contexts).forEach(([key, context]) => {
+      if (!context || typeof context !== 'object') return;
+
+      const nameVersion = [context.name, context.version].filter(Boolean).join(' ');
+      const extras = Object.entries(context)
+        .filter(
+          ([field, value]) =>
+            !['name', 'version', 'type'].includes(field) &&
+            value !== null &&
+            value !== undefined &&
+            typeof value !== 'object',
+        )
+        .slice(0, 5)
+        .map(([field, value]) => `${field}=${this.truncate(String(value), 80)}`);
+
+      formatted[key] = [nameVersion, extras.join(', ')].filter(Boolean).join(' | ');
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Render selected sections of a full event as markdown.
+   */
+  static eventToMarkdown(event, options = {}) {
+    if (!event) return '';
+
+    const {
+      sections = this.EVENT_SECTIONS,
+      breadcrumbsLimit = 30,
+      maxFrames = 10,
+      frameOptions = {},
+    } = options;
+    const tags = Array.isArray(event.tags) ? event.tags : [];
+    const tagValue = key => tags.find(t => t.key === key)?.value;
+
+    const lines = [`Event: ${event.eventID || event.id}`];
+    if (event.title) lines.push(`Title: ${event.title}`);
+    if (event.dateCreated) lines.push(`Timestamp: ${event.dateCreated}`);
+    if (tagValue('release')) lines.push(`Release: ${tagValue('release')}`);
+    if (tagValue('environment')) lines.push(`Environment: ${tagValue('environment')}`);
+    if (event.platform) lines.push(`Platform: ${event.platform}`);
+
+    if (sections.includes('exceptions')) {
+      const chain = this.formatExceptionChain(event, maxFrames, {
+        ...frameOptions,
+        showFrameInfo: true,
+      });
+      lines.push(`\nExceptions (${chain.length}, outermost first):`);
+      if (chain.length === 0) lines.push('None');
+      chain.forEach((exception, index) => {
+        const prefix = index === 0 ? '' : 'Caused by: ';
+        lines.push(`${prefix}${exception.type}: ${exception.value}`);
+        if (exception.mechanism) {
+          lines.push(
+            `Mechanism: ${exception.mechanism.type} (handled: ${exception.mechanism.handled})`,
+          );
+        }
+        if (exception.stacktrace) lines.push(exception.stacktrace);
+      });
+    }
+
+    if (sections.includes('breadcrumbs')) {
+      const { total, lines: crumbLines } = this.formatBreadcrumbs(event, breadcrumbsLimit);
+      lines.push(`\nBreadcrumbs (last ${crumbLines.length} of ${total}):`);
+      lines.push(crumbLines.length > 0 ? crumbLines.join('\n') : 'None');
+    }
+
+    if (sections.includes('request')) {
+      const request = this.formatRequest(event);
+      lines.push('\nRequest:');
+      lines.push(request ? JSON.stringify(request, null, 2) : 'None');
+    }
+
+    if (sections.includes('contexts')) {
+      const contexts = this.formatContexts(event);
+      lines.push('\nContexts:');
+      if (Object.keys(contexts).length === 0) lines.push('None');
+      Object.entries(contexts).forEach(([key, value]) => lines.push(`${key}: ${value}`));
+    }
+
+    if (sections.includes('tags')) {
+      lines.push('\nTags:');
+      lines.push(tags.length > 0 ? tags.map(t => `${t.key}=${t.value}`).join(', ') : 'None');
+    }
+
+    if (sections.includes('user')) {
+      const user = event.user;
+      lines.push('\nUser:');
+      lines.push(
+        user
+          ? Object.entries(user)
+              .filter(([, value]) => value !== null && value !== undefined && value !== '')
+              .map(([key, value]) => `${key}: ${this.truncate(value, 100)}`)
+              .join('\n')
+          : 'None',
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  // ---------- Timeseries helpers ----------
+  static STATS_INTERVALS = [
+    ['5m', 5],
+    ['15m', 15],
+    ['30m', 30],
+    ['1h', 60],
+    ['3h', 180],
+    ['6h', 360],
+    ['12h', 720],
+    ['1d', 1440],
+  ];
+
+  static SPARKLINE_CHARS = '▁▂▃▄▅▆▇█';
+
+  /**
+   * Pick the smallest interval that keeps the series within maxBuckets.
+   */
+  static pickStatsInterval(spanMinutes, maxBuckets = 48) {
+    const match = this.STATS_INTERVALS.find(([, minutes]) => spanMinutes / minutes <= maxBuckets);
+    return match ? match[0] : '1d';
+  }
+
+  /**
+   * Flatten an events-stats response with count() and count_unique(user) y-axes into
+   * [{ timestamp, events, users }].
+   */
+  static parseEventsStats(stats) {
+    const series = axis => stats?.[axis]?.data || [];
+    const sumCounts = values =>
+      (Array.isArray(values) ? values : []).reduce((sum, v) => sum + (v.count || 0), 0);
+
+    const users = new Map(
+      series('count_unique(user)').map(([ts, values]) => [ts, sumCounts(values)]),
+    );
+
+    return series('count()').map(([ts, values]) => ({
+      timestamp: new Date(ts * 1000).toISOString().replace('.000Z', 'Z'),
+      events: sumCounts(values),
+      users: users.get(ts) || 0,
+    }));
+  }
+
+  /**
+   * Flag buckets whose event count is well above a baseline window.
+   *
+   * The baseline is the first `baselineBuckets` buckets (default: the first half). A later
+   * bucket is a spike when it has at least 3 events and exceeds both
+   * `spikeThreshold` x the baseline mean and the baseline mean + 3 standard deviations.
+   */
+  static detectSpikes(buckets, options = {}) {
+    const { spikeThreshold = 3 } = options;
+    const baselineSize = Math.min(
+      Math.max(1, options.baselineBuckets || Math.floor(buckets.length / 2)),
+      Math.max(1, buckets.length - 1),
+    );
+
+    const baseline = buckets.slice(0, baselineSize).map(b => b.events);
+    const mean = baseline.reduce((sum, v) => sum + v, 0) / (baseline.length || 1);
+    const variance = baseline.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (baseline.length || 1);
+    const stddev = Math.sqrt(variance);
+    const limit = Math.max(mean * spikeThreshold, mean + 3 * stddev);
+
+    const spikes = [];
+    buckets.forEach((bucket, index) => {
+      if (index >= baselineSize && bucket.events >= 3 && bucket.events > limit) {
+        spikes.push(index);
+      }
+    });
+
+    return {
+      baseline: {
+        buckets: baselineSize,
+        from: buckets[0]?.timestamp,
+        to: buckets[baselineSize - 1]?.timestamp,
+        mean: Math.round(mean * 100) / 100,
+        stddev: Math.round(stddev * 100) / 100,
+      },
+      spikeThreshold,
+      spikes,
+    };
+  }
+
+  static sparkline(values) {
+    const max = Math.max(0, ...values);
+    if (max === 0) return this.SPARKLINE_CHARS[0].repeat(values.length);
+    const steps = this.SPARKLINE_CHARS.length - 1;
+    return values.map(v => this.SPARKLINE_CHARS[Math.round((v / max) * steps)]).join('');
+  }
+
+  /**
+   * Render an issue's timeseries with sparklines, spike analysis and a bucket table.
+   */
+  static issueStatsToMarkdown(issue, buckets, analysis, periodInfo) {
+    const lines = [`Issue: ${issue.shortId || issue.id} - ${issue.title || '<no title>'}`];
+    lines.push(
+      `Period: ${periodInfo.label} (interval ${periodInfo.interval}, ${buckets.length} buckets)`,
+    );
+
+    if (buckets.length === 0) {
+      lines.push('\nNo data returned for this period.');
+      return lines.join('\n');
+    }
+
+    const totalEvents = buckets.reduce((sum, b) => sum + b.events, 0);
+    const peak = buckets.reduce((best, b) => (b.events > best.events ? b : best), buckets[0]);
+    const firstActive = buckets.find(b => b.events > 0);
+
+    lines.push(`Total Events: ${totalEvents}`);
+    lines.push(`Peak: ${peak.events} events at ${peak.timestamp}`);
+    lines.push(`First Bucket With Events: ${firstActive ? firstActive.timestamp : 'None'}`);
+
+    lines.push('\nEvents: ' + this.sparkline(buckets.map(b => b.events)));
+    lines.push('Users:  ' + this.sparkline(buckets.map(b => b.users)));
+
+    const { baseline, spikes, spikeThreshold } = analysis;
+    lines.push(
+      `\nBaseline: first ${baseline.buckets} buckets (${baseline.from} to ${baseline.to}), mean ${baseline.mean} events/bucket, stddev ${baseline.stddev}`,
+    );
+    if (spikes.length === 0) {
+      lines.push(`Spikes: none above ${spikeThreshold}x baseline`);
+    } else {
+      lines.push(`Spikes (above ${spikeThreshold}x baseline): ${spikes.length}`);
+      lines.push(`First Spike: ${buckets[spikes[0]].timestamp}`);
+      spikes.forEach(index => {
+        const bucket = buckets[index];
+        const ratio = baseline.mean > 0 ? `${Math.round(bucket.events / baseline.mean)}x` : 'new';
+        lines.push(
+          `- ${bucket.timestamp}: ${bucket.events} events, ${bucket.users} users (${ratio})`,
+        );
+      });
+    }
+
+    lines.push('\nBuckets (users are unique per bucket):');
+    lines.push('| Time (UTC) | Events | Users | |');
+    lines.push('|---|---|---|---|');
+    buckets.forEach((bucket, index) => {
+      const flag = spikes.includes(index) ? 'spike' : index < baseline.buckets ? 'baseline' : '';
+      lines.push(`| ${bucket.timestamp} | ${bucket.events} | ${bucket.users} | ${flag} |`);
+    });
+
+    return lines.join('\n');
+  }
+
+  // ---------- Tag distribution helpers ----------
+  /**
+   * Full value breakdown for one tag key. total is the number of events the
+   * percentages are relative to; null leaves percent empty.
+   */
+  static formatTagDistribution(values, total) {
+    if (!Array.isArray(values)) return [];
+    return values.map(v => ({
+      value: v.value ?? v.name ?? '<none>',
+      count: Number(v.count) || 0,
+      percent: total ? Math.round((Number(v.count) / total) * 1000) / 10 : null,
+      firstSeen: v.firstSeen || null,
+      lastSeen: v.lastSeen || null,
+    }));
+  }
+
+  static tagDistributionToMarkdown(key, scope, distribution, totals) {
+    const lines = [`Tag: ${key}`, `Scope: ${scope}`];
+    lines.push(`Events With Tag: ${totals.events ?? 'unknown'}`);
+    if (totals.uniqueValues !== undefined) lines.push(`Distinct Values: ${totals.uniqueValues}`);
+
+    if (distribution.length === 0) {
+      lines.push('\nNo values recorded for this tag.');
+      return lines.join('\n');
+    }
+
+    const top = distribution[0];
+    if (top.percent !== null) {
+      lines.push(`Top Value: ${top.value} (${top.percent}% of events)`);
+    }
+
+    lines.push(`\n| Value | Count | % | First Seen | Last Seen |`);
+    lines.push('|---|---|---|---|---|');
+    distribution.forEach(v => {
+      const value = this.truncate(String(v.value), 80).replace(/\|/g, '\\|');
+      lines.push(
+        `| ${value} | ${v.count} | ${v.percent ?? ''} | ${v.firstSeen || ''} | ${v.lastSeen || ''} |`,
+      );
+    });
+
+    return lines.join('\n');
+  }
+
+  // ---------- Activity helpers ----------
+  /**
+   * One-line description of an issue activity item.
+   */
+  static describeActivity(activity) {
+    const data = activity.data || {};
+    switch (activity.type) {
+      case 'note':
+        return `note: ${this.truncate((data.text || '').replace(/\s+/g, ' '), 300)}`;
+      case 'set_resolved':
+        return 'marked resolved';
+      case 'set_resolved_in_release':
+        return `resolved in release ${data.version || '(next release)'}`;
+      case 'set_resolved_in_commit':
+        return `resolved in commit ${data.commit?.id?.slice(0, 12) || ''}`.trim();
+      case 'set_resolved_in_pull_request':
+        return `resolved by pull request ${data.pullRequest?.externalUrl || ''}`.trim();
+      case 'set_resolved_by_age':
+        return 'auto-resolved after inactivity';
+      case 'set_unresolved':
+        return 'marked unresolved';
+      case 'set_ignored': {
+        const until = data.ignoreUntilEscalating
+          ? ' until escalating'
+          : data.ignoreDuration
+            ? ` for ${data.ignoreDuration} minutes`
+            : data.ignoreCount
+              ? ` until ${data.ignoreCount} more events`
+              : '';
+        return `archived/ignored${until}`;
+      }
+      case 'set_regression':
+        return `regressed${data.version ? ` in ${data.version}` : ''}`;
+      case 'set_escalating':
+        return 'marked escalating';
+      case 'set_priority':
+        return `priority set to ${data.priority}`;
+      case 'assigned':
+        return `assigned to ${data.assigneeEmail || data.assignee || 'someone'}${data.assigneeType === 'team' ? ' (team)' : ''}`;
+      case 'unassigned':
+        return 'unassigned';
+      case 'create_issue':
+        return `linked ${data.provider || 'external'} ticket ${data.label || data.title || ''}${data.location ? ` ${data.location}` : ''}`;
+      case 'first_seen':
+        return 'first seen';
+      case 'merge':
+        return data.issues?.length ? `merged ${data.issues.length} issues` : 'merged issues';
+      case 'mark_reviewed':
+        return 'marked reviewed';
+      default:
+        return (activity.type || 'unknown').replace(/_/g, ' ');
+    }
+  }
+
+  /**
+   * Render activity items oldest first as `date - actor: description`.
+   */
+  static activityToMarkdown(issueId, activities, totalCount) {
+    const lines = [
+      `Activity for issue ${issueId} (${activities.length} of ${totalCount}, oldest first):`,
+    ];
+    if (activities.length === 0) {
+      lines.push('No activity recorded.');
+      return lines.join('\n');
+    }
+
+    [...activities]
+      .sort((a, b) => new Date(a.dateCreated) - new Date(b.dateCreated))
+      .forEach(activity => {
+        const actor = activity.user ? activity.user.name || activity.user.email : 'Sentry';
+        lines.push(`${activity.dateCreated} - ${actor}: ${this.describeActivity(activity)}`);
+      });
+
+    return lines.join('\n');
+  }
+
+  // ---------- Issue update helpers ----------
+  /**
+   * Minimal per-issue summary used when listing targets of a bulk update.
+   */
+  static formatIssueSummaries(issuesArray) {
+    if (!Array.isArray(issuesArray)) return [];
+    return issuesArray.map(issue => ({
+      id: issue.id,
+      shortId: issue.shortId,
+      title: issue.title || '<no title>',
+      status: issue.status,
+      count: issue.count,
+      userCount: issue.userCount || 0,
+      lastSeen: issue.lastSeen,
+      assignedTo: issue.assignedTo ? issue.assignedTo.name || issue.assignedTo.email : null,
+    }));
+  }
+
+  /**
+   * Compact the response of an issue update request.
+   * Falls back to the requested values for fields Sentry does not echo back.
+   */
+  static formatIssueUpdate(requested, result) {
+    const response = result || {};
+    const formatted = {};
+
+    const status = response.status || requested.status;
+    if (status) {
+      formatted.status = status;
+    }
+
+    const statusDetails = response.statusDetails || requested.statusDetails;
+    if (statusDetails && Object.keys(statusDetails).length > 0) {
+      formatted.statusDetails = statusDetails;
+    }
+
+    if (requested.assignedTo !== undefined) {
+      const assignee = response.assignedTo;
+      formatted.assignedTo = assignee
+        ? `${assignee.type || 'user'}:${assignee.name || assignee.email || assignee.id}`
+        : requested.assignedTo || null;
+    }
+
+    ['hasSeen', 'isBookmarked'].forEach(key => {
+      if (requested[key] !== undefined) {
+        formatted[key] = response[key] !== undefined ? response[key] : requested[key];
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Convert a formatted issue update into markdown.
+   */
+  static issueUpdateToMarkdown(issueId, update) {
+    const lines = [`Updated Sentry issue ${issueId}`];
+
+    if (update.status) lines.push(`Status: ${update.status}`);
+    if (update.statusDetails) {
+      Object.entries(update.statusDetails).forEach(([key, value]) => {
+        lines.push(`${key}: ${value}`);
+      });
+    }
+    if (update.assignedTo !== undefined) {
+      lines.push(`Assigned To: ${update.assignedTo || 'Unassigned'}`);
+    }
+    if (update.hasSeen !== undefined) lines.push(`Seen: ${update.hasSeen}`);
+    if (update.isBookmarked !== undefined) lines.push(`Bookmarked: ${update.isBookmarked}`);
+
+    return lines.join('\n');
+  }
+
+  // ---------- Discover helpers ----------
+  /**
+   * Render one Discover cell using the column type from meta.fields.
+   */
+  static formatDiscoverValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (Array.isArray(value)) return this.truncate(value.join(', '), 80);
+
+    switch (type) {
+      case 'duration':
+        return `${Math.round(value * 100) / 100}ms`;
+      case 'percentage':
+        return `${Math.round(value * 10000) / 100}%`;
+      case 'number':
+      case 'rate':
+        return String(Math.round(value * 100) / 100);
+      default:
+        // Keep table cells on one line
+        return this.truncate(String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|'), 80);
+    }
+  }
+
+  /**
+   * Render a Discover result as a markdown table, columns in the requested order.
+   */
+  static eventsTableToMarkdown(fields, result) {
+    const rows = Array.isArray(result?.data) ? result.data : [];
+    if (rows.length === 0) return 'No rows matched.';
+
+    const types = result.meta?.fields || {};
+    const lines = [`| ${fields.join(' | ')} |`, `|${fields.map(() => '---').join('|')}|`];
+    rows.forEach(row => {
+      lines.push(`| ${fields.map(f => this.formatDiscoverValue(row[f], types[f])).join(' | ')} |`);
+    });
+    return lines.join('\n');
+  }
+
+  // ---------- Performance helpers ----------
+  // Discover columns requested for every transaction row
+  static TRANSACTION_FIELDS = [
+    'transaction',
+    'project',
+    'count()',
+    'epm()',
+    'p50()',
+    'p75()',
+    'p95()',
+    'failure_rate()',
+  ];
+
+  static roundMs(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+  }
+
+  static formatTransactionRow(row) {
+    return {
+      transaction: row.transaction,
+      project: row.project,
+      count: row['count()'],
+      throughputPerMinute: this.roundMs(row['epm()']),
+      p50Ms: this.roundMs(row['p50()']),
+      p75Ms: this.roundMs(row['p75()']),
+      p95Ms: this.roundMs(row['p95()']),
+      failureRate: this.formatRate(row['failure_rate()']),
+    };
+  }
+
+  static formatTransactionsList(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows.map(r => this.formatTransactionRow(r));
+  }
+
+  /**
+   * Spans of a transaction event with durations and offsets from the transaction start.
+   */
+  static getEventSpans(event) {
+    const spans = event?.entries?.find(e => e.type === 'spans')?.data;
+    if (!Array.isArray(spans)) return [];
+
+    const start =
+      event.startTimestamp ?? spans.reduce((min, s) => Math.min(min, s.start_timestamp), Infinity);
+    return spans.map(span => ({
+      spanId: span.span_id,
+      parentSpanId: span.parent_span_id,
+      op: span.op || 'default',
+      description: span.description || '',
+      status: span.status,
+      startTimestamp: span.start_timestamp,
+      startOffsetMs: this.roundMs((span.start_timestamp - start) * 1000),
+      durationMs: this.roundMs((span.timestamp - span.start_timestamp) * 1000),
+    }));
+  }
+
+  /**
+   * Render the slowest spans of one transaction event, plus total time per span op.
+   */
+  static slowestSpansToMarkdown(event, limit = 10) {
+    const spans = this.getEventSpans(event);
+    const eventId = event.eventID || event.id;
+    const duration =
+      event.startTimestamp !== undefined && event.endTimestamp !== undefined
+        ? `${this.roundMs((event.endTimestamp - event.startTimestamp) * 1000)}ms`
+        : 'unknown';
+
+    const lines = [`Slowest Spans (event ${eventId}, transaction duration ${duration}):`];
+    if (spans.length === 0) {
+      lines.push('No spans recorded for this event.');
+      return lines.join('\n');
+    }
+
+    [...spans]
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .slice(0, limit)
+      .forEach(span => {
+        const status = span.status && span.status !== 'ok' ? ` [${span.status}]` : '';
+        lines.push(
+          `- ${span.durationMs}ms ${span.op} ${this.truncate(span.description, 120)} (starts +${span.startOffsetMs}ms)${status}`,
+        );
+      });
+
+    const byOp = spans.reduce((acc, span) => {
+      acc[span.op] = this.roundMs((acc[span.op] || 0) + span.durationMs);
+      return acc;
+    }, {});
+    lines.push('\nTime By Span Op (sum, spans can overlap):');
+    Object.entries(byOp)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([op, total]) => lines.push(`- ${op}: ${total}ms`));
+
+    return lines.join('\n');
+  }
+
+  // ---------- Trace helpers ----------
+  /**
+   * Build a tree of transactions and, when given, their spans. Child transactions and
+   * errors hang off the span they were started from when that span is known.
+   */
+  static buildTraceTree(transactions, spansByEventId = {}) {
+    const toErrors = tx =>
+      (tx.errors || []).map(error => ({
+        title: error.title,
+        level: error.level,
+        issue: error.issue_short_id || error.issue || error.issue_id,
+        eventId: error.event_id,
+        spanId: error.span,
+      }));
+
+    const toNode = tx => {
+      const node = {
+        kind: 'transaction',
+        op: tx['transaction.op'] || 'default',
+        label: tx.transaction,
+        project: tx.project_slug,
+        eventId: tx.event_id,
+        durationMs: this.roundMs(tx['transaction.duration']),
+        start: tx.start_timestamp,
+        errors: [],
+        children: [],
+      };
+
+      const spanNodes = { [tx.span_id]: node };
+      (spansByEventId[tx.event_id] || [])
+        .slice()
+        .sort((a, b) => a.startTimestamp - b.startTimestamp)
+        .forEach(span => {
+          const spanNode = {
+            kind: 'span',
+            op: span.op,
+            label: span.description,
+            status: span.status,
+            durationMs: span.durationMs,
+            start: span.startTimestamp,
+            errors: [],
+            children: [],
+          };
+          spanNodes[span.spanId] = spanNode;
+          (spanNodes[span.parentSpanId] || node).children.push(spanNode);
+        });
+
+      toErrors(tx).forEach(error => (spanNodes[error.spanId] || node).errors.push(error));
+      (tx.children || []).forEach(child =>
+        (spanNodes[child.parent_span_id] || node).children.push(toNode(child)),
+      );
+
+      const sortChildren = n => {
+        n.children.sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+        n.children.forEach(sortChildren);
+      };
+      sortChildren(node);
+      return node;
+    };
+
+    return transactions.map(toNode);
+  }
+
+  /**
+   * Render a trace as an indented tree, capped at maxNodes lines of spans/transactions.
+   */
+  static traceToMarkdown(traceId, trace, spansByEventId = {}, maxNodes = 200) {
+    const transactions = Array.isArray(trace) ? trace : trace?.transactions || [];
+    const orphanErrors = Array.isArray(trace) ? [] : trace?.orphan_errors || [];
+
+    const lines = [`Trace: ${traceId}`];
+    if (transactions.length === 0 && orphanErrors.length === 0) {
+      lines.push('No events found for this trace in the requested period.');
+      return lines.join('\n');
+    }
+
+    const roots = this.buildTraceTree(transactions, spansByEventId);
+    const stats = { transactions: 0, spans: 0, errors: 0, projects: new Set() };
+    const walk = node => {
+      stats[node.kind === 'transaction' ? 'transactions' : 'spans'] += 1;
+      stats.errors += node.errors.length;
+      if (node.project) stats.projects.add(node.project);
+      node.children.forEach(walk);
+    };
+    roots.forEach(walk);
+    stats.errors += orphanErrors.length;
+
+    const rootDuration = roots.reduce((max, r) => Math.max(max, r.durationMs || 0), 0);
+    lines.push(`Root: ${roots[0] ? `${roots[0].op} ${roots[0].label}` : 'unknown'}`);
+    lines.push(`Duration: ${rootDuration}ms`);
+    lines.push(`Projects: ${[...stats.projects].join(', ') || 'Unknown'}`);
+    lines.push(
+      `Transactions: ${stats.transactions}${stats.spans > 0 ? `, Spans: ${stats.spans}` : ''}, Errors: ${stats.errors}`,
+    );
+
+    lines.push('\nTree:');
+    let shown = 0;
+    let hidden = 0;
+    const render = (node, depth) => {
+      if (shown >= maxNodes) {
+        hidden += 1;
+        node.children.forEach(child => render(child, depth + 1));
+        return;
+      }
+      shown += 1;
+
+      const indent = '  '.repeat(depth);
+      const project = node.kind === 'transaction' && node.project ? ` [${node.project}]` : '';
+      const status = node.status && node.status !== 'ok' ? ` (${node.status})` : '';
+      const errorMark = node.errors.length > 0 ? ` [ERROR x${node.errors.length}]` : '';
+      const label = this.truncate(node.label || '', 100);
+      lines.push(
+        `${indent}${node.kind === 'transaction' ? '*' : '-'} ${node.op} ${label} ${node.durationMs ?? '?'}ms${project}${status}${errorMark}`,
+      );
+      node.errors.forEach(error =>
+        lines.push(
+          `${indent}    ! ${error.level || 'error'}: ${this.truncate(error.title, 100)} (issue ${error.issue}, event ${error.eventId})`,
+        ),
+      );
+      node.children.forEach(child => render(child, depth + 1));
+    };
+    roots.forEach(root => render(root, 0));
+    if (hidden > 0) {
+      lines.push(`... ${hidden} more nodes not shown (raise maxNodes to see them)`);
+    }
+
+    if (orphanErrors.length > 0) {
+      lines.push('\nErrors Outside Any Transaction:');
+      orphanErrors.forEach(error =>
+        lines.push(
+          `- ${error.level || 'error'}: ${this.truncate(error.title, 100)} [${error.project_slug}] (issue ${error.issue_short_id || error.issue_id}, event ${error.event_id})`,
+        ),
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  // ---------- Replay helpers ----------
+  static formatDuration(seconds) {
+    if (typeof seconds !== 'number') return 'unknown';
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  static formatReplay(replay, link) {
+    if (!replay) return null;
+    const urls = Array.isArray(replay.urls) ? replay.urls : [];
+    const user = replay.user || {};
+    return {
+      id: replay.id,
+      startedAt: replay.started_at,
+      duration: this.formatDuration(replay.duration),
+      user: user.display_name || user.email || user.username || user.id || user.ip || null,
+      errorCount: replay.count_errors || 0,
+      browser: replay.browser?.name
+        ? `${replay.browser.name} ${replay.browser.version || ''}`.trim()
+        : null,
+      os: replay.os?.name ? `${replay.os.name} ${replay.os.version || ''}`.trim() : null,
+      urls: urls.slice(0, 5),
+      moreUrls: urls.length > 5 ? urls.length - 5 : undefined,
+      link,
+    };
+  }
+
+  // Breadcrumb categories worth showing in a condensed replay timeline
+  static REPLAY_TIMELINE_CATEGORIES = [
+    'navigation',
+    'ui.click',
+    'ui.tap',
+    'ui.input',
+    'ui.slowClickDetected',
+    'ui.multiClick',
+    'ui.blur',
+    'ui.focus',
+    'replay.mutations',
+  ];
+
+  /**
+   * Pull breadcrumbs out of rrweb recording segments and condense them into
+   * { offsetSeconds, category, message } entries, merging consecutive repeats.
+   */
+  static extractReplayTimeline(segments, startedAt, includeConsole = true) {
+    const events = (Array.isArray(segments) ? segments : []).flat();
+    const crumbs = events
+      .filter(e => e?.type === 5 && e.data?.tag === 'breadcrumb' && e.data.payload)
+      .map(e => e.data.payload)
+      .filter(
+        crumb =>
+          this.REPLAY_TIMELINE_CATEGORIES.includes(crumb.category) ||
+          (includeConsole &&
+            crumb.category === 'console' &&
+            ['error', 'warning', 'warn'].includes(crumb.level)),
+      );
+
+    const start = startedAt
+      ? new Date(startedAt).getTime() / 1000
+      : crumbs.reduce((min, c) => Math.min(min, c.timestamp), Infinity);
+
+    const timeline = [];
+    crumbs
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(crumb => {
+        const text = crumb.data?.node?.textContent?.trim();
+        const target =
+          crumb.category === 'navigation' ? crumb.data?.to || crumb.message : crumb.message;
+        const message = this.truncate(
+          `${target || ''}${text ? ` "${this.truncate(text, 40)}"` : ''}`.trim(),
+          150,
+        );
+
+        const previous = timeline[timeline.length - 1];
+        if (previous && previous.category === crumb.category && previous.message === message) {
+          previous.repeat += 1;
+          return;
+        }
+        timeline.push({
+          offsetSeconds: Math.max(0, crumb.timestamp - start),
+          category: crumb.category === 'console' ? `console.${crumb.level}` : crumb.category,
+          message,
+          repeat: 1,
+        });
+      });
+
+    return timeline;
+  }
+
+  static replayTimelineToMarkdown(replay, link, timeline, limit = 100) {
+    const summary = this.formatReplay(replay, link);
+    const lines = [`Replay: ${summary.id}`];
+    lines.push(`Started: ${summary.startedAt}`);
+    lines.push(`Duration: ${summary.duration}`);
+    lines.push(`User: ${summary.user || 'Anonymous'}`);
+    if (summary.browser) lines.push(`Browser: ${summary.browser}`);
+    if (summary.os) lines.push(`OS: ${summary.os}`);
+    lines.push(`Errors: ${summary.errorCount}`);
+    if (Array.isArray(replay.error_ids) && replay.error_ids.length > 0) {
+      lines.push(`Error Event IDs: ${replay.error_ids.slice(0, 10).join(', ')}`);
+    }
+    lines.push(`Link: ${link}`);
+
+    lines.push(`\nTimeline (${Math.min(timeline.length, limit)} of ${timeline.length} entries):`);
+    if (timeline.length === 0) {
+      lines.push('No navigation, click or input breadcrumbs were recorded.');
+    }
+    timeline.slice(0, limit).forEach(entry => {
+      const repeat = entry.repeat > 1 ? ` (x${entry.repeat})` : '';
+      lines.push(
+        `${this.formatDuration(entry.offsetSeconds)} ${entry.category} ${entry.message}${repeat}`,
+      );
+    });
+
+    return lines.join('\n');
+  }
+
+  // ---------- Release helpers ----------
+  /**
+   * Group a release's deploys by environment with the count and latest finish time.
+   */
+  static summarizeDeploys(deploys) {
+    if (!Array.isArray(deploys)) return null;
+    return deploys.reduce((acc, deploy) => {
+      const env = deploy.environment || '<none>';
+      const finished = deploy.dateFinished || deploy.dateStarted || null;
+      const entry = acc[env] || { count: 0, lastDeployed: null };
+      entry.count += 1;
+      if (finished && (!entry.lastDeployed || finished > entry.lastDeployed)) {
+        entry.lastDeployed = finished;
+      }
+      acc[env] = entry;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Compact release summary. Deploys are null when they were not fetched.
+   */
+  static formatRelease(release, deploys = null) {
+    if (!release) return null;
+    return {
+      version: release.version,
+      shortVersion:
+        release.shortVersion && release.shortVersion !== release.version
+          ? release.shortVersion
+          : undefined,
+      dateCreated: release.dateCreated,
+      dateReleased: release.dateReleased || null,
+      newIssues: release.newGroups || 0,
+      commitCount: release.commitCount || 0,
+      projects: Array.isArray(release.projects) ? release.projects.map(p => p.slug) : [],
+      lastDeploy: release.lastDeploy
+        ? {
+            environment: release.lastDeploy.environment,
+            dateFinished: release.lastDeploy.dateFinished,
+          }
+        : null,
+      deploys: this.summarizeDeploys(deploys) || undefined,
+    };
+  }
+
+  static formatReleasesList(releasesArray, deploysMap = {}) {
+    if (!Array.isArray(releasesArray)) return [];
+    return releasesArray.map(r => this.formatRelease(r, deploysMap[r.version] || null));
+  }
+
+  static formatRate(rate) {
+    return typeof rate === 'number' ? `${(rate * 100).toFixed(2)}%` : 'n/a';
+  }
+
+  /**
+   * Reduce a sessions API response to release health totals, or null when no sessions exist.
+   */
+  static formatReleaseHealth(sessions) {
+    const totals = sessions?.groups?.[0]?.totals;
+    if (!totals || !totals['sum(session)']) return null;
+    return {
+      totalSessions: totals['sum(session)'],
+      totalUsers: totals['count_unique(user)'] || 0,
+      crashFreeSessions: this.formatRate(totals['crash_free_rate(session)']),
+      crashFreeUsers: this.formatRate(totals['crash_free_rate(user)']),
+    };
+  }
+
+  /**
+   * Render a release with deploys, health and the issues first seen in it.
+   * health is { data } on success or { error } when the sessions API call failed.
+   */
+  static releaseToMarkdown(release, deploys, health, newIssues) {
+    const summary = this.formatRelease(release, deploys);
+    const lines = [`Release: ${summary.version}`];
+    if (summary.shortVersion) lines.push(`Short Version: ${summary.shortVersion}`);
+    lines.push(`Created: ${summary.dateCreated}`);
+    lines.push(`Released: ${summary.dateReleased || 'Not marked as released'}`);
+    lines.push(`Projects: ${summary.projects.join(', ') || 'None'}`);
+    lines.push(`Commits: ${summary.commitCount}`);
+    lines.push(`New Issues: ${summary.newIssues}`);
+    if (release.lastCommit) {
+      lines.push(
+        `Last Commit: ${release.lastCommit.id?.slice(0, 12)} ${this.truncate(
+          (release.lastCommit.message || '').split('\n')[0],
+          80,
+        )}`,
+      );
+    }
+
+    lines.push('\nDeploys:');
+    const envs = Object.entries(summary.deploys || {});
+    if (envs.length === 0) {
+      lines.push('None recorded');
+    } else {
+      envs.forEach(([env, info]) =>
+        lines.push(`- ${env}: ${info.count} deploy(s), last ${info.lastDeployed || 'unknown'}`),
+      );
+    }
+
+    lines.push('\nRelease Health:');
+    if (health.error) {
+      lines.push(`Unavailable: ${health.error}`);
+    } else if (!health.data) {
+      lines.push('No session data. Release health may not be enabled for these projects.');
+    } else {
+      lines.push(`Crash-Free Sessions: ${health.data.crashFreeSessions}`);
+      lines.push(`Crash-Free Users: ${health.data.crashFreeUsers}`);
+      lines.push(`Sessions: ${health.data.totalSessions}`);
+      lines.push(`Users: ${health.data.totalUsers}`);
+    }
+
+    lines.push(`\nIssues First Seen In This Release (${newIssues.length} shown):`);
+    if (newIssues.length === 0) {
+      lines.push('None');
+    } else {
+      newIssues.forEach(issue => {
+        lines.push(
+          `- ${issue.shortId || issue.id}: ${issue.title || '<no title>'} (${issue.count} events, ${issue.userCount || 0} users, ${issue.status})`,
+        );
+      });
+    }
+
+    return lines.join('\n');
+  }
+
   // ---------- Organization helpers ----------
   static formatOrganization(org) {
     if (!org) return null;
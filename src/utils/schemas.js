@@ -3,8 +3,17 @@ const { z } = require('zod');
 // Base schemas
 const ModelSchema = z.string().min(1, 'Model identifier is required');
 const IssueIdSchema = z.number().int().positive('Issue ID must be a positive integer');
+// Numeric issue ID, short ID ("PROJ-1AB") or issue permalink URL
+const IssueReferenceSchema = z.union([
+  IssueIdSchema,
+  z.string().trim().min(1, 'Issue ID, short ID or URL is required'),
+]);
 const ProjectIdSchema = z.string().regex(/^\d+$/, 'Project ID must be numeric string');
 const EnvironmentSchema = z.string().min(1);
+const JiraIssueKeySchema = z
+  .string()
+  .trim()
+  .regex(/^[A-Z][A-Z0-9_]+-\d+$/, 'Jira issue key must look like PROJ-123');
 const DateStringSchema = z
   .string()
   .regex(
@@ -12,16 +21,27 @@ const DateStringSchema = z
     'Invalid datetime format. Use YYYY-MM-DDTHH:MM:SS or YYYY-MM-DDTHH:MM:SSZ',
   )
   .optional();
+// "Last N days" shortcut, same range for every tool that accepts it
+const RelativeDaysSchema = z.number().int().min(1).max(365);
+
+// Stack frame rendering options shared by issue and event details
+const StackFrameOptionFields = {
+  inAppOnly: z.boolean().default(false),
+  contextLines: z.number().int().min(0).max(10).default(0),
+  includeVariables: z.boolean().default(false),
+};
 
 // Sentry schemas
 const SentryIssueDetailsSchema = z.object({
   model: ModelSchema,
   organization: z.string().optional(),
-  issueId: IssueIdSchema,
+  issueId: IssueReferenceSchema,
   includeTags: z.boolean().default(false),
   environment: EnvironmentSchema.optional(),
   trace: z.boolean().default(true),
   deepDetails: z.boolean().default(false),
+  suspectCommits: z.boolean().default(false),
+  ...StackFrameOptionFields,
 });
 
 const SentryIssuesSchema = z.object({
@@ -42,9 +62,405 @@ const SentryIssuesSchema = z.object({
   query: z.string().optional(),
   collapse: z.array(z.enum(['base', 'filtered', 'lifetime', 'stats', 'unhandled'])).optional(),
   cursor: z.string().optional(),
-  relativeDays: z.number().int().min(1).max(365).optional(),
+  autoPaginate: z.boolean().default(false),
+  relativeDays: RelativeDaysSchema.optional(),
+});
+
+const SentryIssueEventsSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+  statsPeriod: z.string().optional(),
+  dateFrom: DateStringSchema,
+  dateTo: DateStringSchema,
+  query: z.string().optional(),
+  cursor: z.string().optional(),
+  limit: z.number().int().min(1).max(100).default(20),
+  full: z.boolean().default(false),
+});
+
+const SentryEventDetailsSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  // Defaults to the event in an event URL, otherwise "latest"
+  eventId: z
+    .string()
+    .regex(
+      /^(latest|oldest|recommended|[0-9a-fA-F]{32})$/,
+      'Event ID must be a 32-character hex ID or one of latest, oldest, recommended',
+    )
+    .optional(),
+  environment: EnvironmentSchema.optional(),
+  sections: z
+    .array(z.enum(['exceptions', 'breadcrumbs', 'request', 'contexts', 'tags', 'user']))
+    .min(1)
+    .default(['exceptions', 'breadcrumbs', 'request', 'contexts']),
+  breadcrumbsLimit: z.number().int().min(1).max(200).default(30),
+  maxFrames: z.number().int().min(1).max(100).default(10),
+  ...StackFrameOptionFields,
+});
+
+const SentryIssueStatsSchema = z
+  .object({
+    model: ModelSchema,
+    organization: z.string().optional(),
+    issueId: IssueReferenceSchema,
+    environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+    statsPeriod: z
+      .string()
+      .regex(/^\d+[mhdw]$/, 'statsPeriod must be a number followed by m, h, d or w (e.g., "7d")')
+      .optional(),
+    dateFrom: DateStringSchema,
+    dateTo: DateStringSchema,
+    relativeDays: RelativeDaysSchema.optional(),
+    interval: z.enum(['5m', '15m', '30m', '1h', '3h', '6h', '12h', '1d']).optional(),
+    baselineBuckets: z.number().int().min(1).optional(),
+    spikeThreshold: z.number().min(1).default(3),
+  })
+  .refine(data => !data.dateTo || data.dateFrom, {
+    message: 'dateTo requires dateFrom',
+    path: ['dateTo'],
+  });
+
+const SentryIssueStatusSchema = z.enum([
+  'resolved',
+  'resolvedInNextRelease',
+  'unresolved',
+  'ignored',
+]);
+
+// Shared by single and bulk issue updates
+const SentryIssueUpdateFields = {
+  status: SentryIssueStatusSchema.optional(),
+  inRelease: z.string().min(1).optional(),
+  ignoreDuration: z.number().int().positive().optional(),
+  ignoreCount: z.number().int().positive().optional(),
+  ignoreWindow: z.number().int().positive().optional(),
+  ignoreUserCount: z.number().int().positive().optional(),
+  ignoreUserWindow: z.number().int().positive().optional(),
+  assignedTo: z.string().optional(),
+  hasSeen: z.boolean().optional(),
+  isBookmarked: z.boolean().optional(),
+};
+
+const hasIssueUpdate = data =>
+  data.status !== undefined ||
+  data.assignedTo !== undefined ||
+  data.hasSeen !== undefined ||
+  data.isBookmarked !== undefined;
+
+const SentryUpdateIssueSchema = z
+  .object({
+    model: ModelSchema,
+    organization: z.string().optional(),
+    issueId: IssueIdSchema,
+    ...SentryIssueUpdateFields,
+  })
+  .refine(hasIssueUpdate, {
+    message: 'Provide at least one of status, assignedTo, hasSeen or isBookmarked',
+    path: ['status'],
+  });
+
+const SentryBulkUpdateIssuesSchema = SentryIssuesSchema.omit({
+  collapse: true,
+  cursor: true,
+  autoPaginate: true,
+  groupStatsPeriod: true,
+})
+  .extend({
+    limit: z.number().int().min(1).max(100).default(25),
+    confirm: z.boolean().default(false),
+    issueIds: z
+      .array(z.union([IssueIdSchema, z.string().regex(/^\d+$/, 'Issue IDs must be numeric')]))
+      .min(1)
+      .max(100)
+      .optional(),
+    ...SentryIssueUpdateFields,
+  })
+  .refine(hasIssueUpdate, {
+    message: 'Provide at least one of status, assignedTo, hasSeen or isBookmarked',
+    path: ['status'],
+  })
+  .refine(data => !data.confirm || data.issueIds, {
+    message: 'requires issueIds from a preview; run without confirm first to get them',
+    path: ['confirm'],
+  })
+  .refine(data => !data.issueIds || data.confirm, {
+    message: 'issueIds applies a previewed change and requires confirm: true',
+    path: ['issueIds'],
+  });
+
+const SentryReleasesSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  project: ProjectIdSchema.optional(),
+  environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+  query: z.string().optional(),
+  limit: z.number().int().min(1).max(100).default(10),
+  cursor: z.string().optional(),
+  includeDeploys: z.boolean().default(true),
+});
+
+const SentryReleaseDetailsSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  version: z.string().trim().min(1, 'Release version is required'),
+  project: ProjectIdSchema.optional(),
+  environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+  statsPeriod: z
+    .string()
+    .regex(/^\d+[mhdw]$/, 'statsPeriod must be a number followed by m, h, d or w (e.g., "30d")')
+    .default('90d'),
+  issuesLimit: z.number().int().min(1).max(100).default(10),
+});
+
+// Discover columns accepted by query_sentry_events. Custom tags are queried as tags[key].
+const DISCOVER_FIELDS = [
+  'id',
+  'title',
+  'message',
+  'project',
+  'project.id',
+  'release',
+  'dist',
+  'environment',
+  'platform',
+  'timestamp',
+  'event.type',
+  'level',
+  'culprit',
+  'location',
+  'issue',
+  'issue.id',
+  'error.type',
+  'error.value',
+  'error.handled',
+  'error.unhandled',
+  'error.mechanism',
+  'transaction',
+  'transaction.op',
+  'transaction.status',
+  'transaction.duration',
+  'http.method',
+  'http.url',
+  'http.status_code',
+  'url',
+  'user',
+  'user.id',
+  'user.email',
+  'user.username',
+  'user.ip',
+  'user.display',
+  'browser',
+  'browser.name',
+  'os',
+  'os.name',
+  'device',
+  'device.family',
+  'sdk.name',
+  'sdk.version',
+  'trace',
+  'trace.span',
+  'trace.parent_span',
+];
+
+const DISCOVER_FUNCTIONS = [
+  'count',
+  'count_unique',
+  'count_if',
+  'count_miserable',
+  'avg',
+  'sum',
+  'min',
+  'max',
+  'p50',
+  'p75',
+  'p90',
+  'p95',
+  'p99',
+  'p100',
+  'percentile',
+  'failure_rate',
+  'failure_count',
+  'apdex',
+  'user_misery',
+  'epm',
+  'eps',
+  'last_seen',
+  'latest_event',
+  'any',
+];
+
+const isDiscoverColumn = name =>
+  DISCOVER_FIELDS.includes(name) ||
+  /^tags\[[\w.:-]+\]$/.test(name) ||
+  /^measurements\.\w+$/.test(name);
+
+const unknownFieldMessage = name =>
+  `Unknown field "${name}". Valid fields: ${DISCOVER_FIELDS.join(', ')}, measurements.<name>, or tags[<key>] for custom tags`;
+
+// A plain field, or a function call such as count(), count_unique(user) or percentile(transaction.duration,0.95)
+const DiscoverFieldSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .superRefine((value, ctx) => {
+    const call = value.match(/^(\w+)\((.*)\)$/);
+    if (!call) {
+      if (!isDiscoverColumn(value)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: unknownFieldMessage(value) });
+      }
+      return;
+    }
+
+    const [, fn, rawArgs] = call;
+    if (!DISCOVER_FUNCTIONS.includes(fn)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `Unknown function "${fn}". Valid functions: ${DISCOVER_FUNCTIONS.join(', ')}`,
+      });
+      return;
+    }
+
+    const badArg = rawArgs
+      .split(',')
+      .map(arg => arg.trim())
+      .filter(Boolean)
+      .find(arg => !isDiscoverColumn(arg) && !/^-?\d+(\.\d+)?$/.test(arg));
+    if (badArg) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `${unknownFieldMessage(badArg)} (in ${value})`,
+      });
+    }
+  });
+
+const SentryQueryEventsSchema = z
+  .object({
+    model: ModelSchema,
+    organization: z.string().optional(),
+    fields: z.array(DiscoverFieldSchema).min(1, 'Provide at least one field'),
+    query: z.string().optional(),
+    sort: z.string().trim().min(1).optional(),
+    dataset: z.enum(['discover', 'errors', 'transactions']).default('discover'),
+    project: z.union([ProjectIdSchema, z.array(ProjectIdSchema)]).optional(),
+    environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+    statsPeriod: z.string().optional(),
+    dateFrom: DateStringSchema,
+    dateTo: DateStringSchema,
+    limit: z.number().int().min(1).max(100).default(20),
+    cursor: z.string().optional(),
+  })
+  .refine(data => !data.sort || data.fields.includes(data.sort.replace(/^-/, '')), {
+    message:
+      'sort must be one of the requested fields, optionally prefixed with "-" for descending',
+    path: ['sort'],
+  });
+
+const SentryTransactionsSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  project: z.union([ProjectIdSchema, z.array(ProjectIdSchema)]).optional(),
+  environment: z.union([EnvironmentSchema, z.array(EnvironmentSchema)]).optional(),
+  statsPeriod: z.string().optional(),
+  dateFrom: DateStringSchema,
+  dateTo: DateStringSchema,
+  query: z.string().optional(),
+  sortBy: z.enum(['p95', 'p75', 'throughput', 'failure_rate', 'count']).default('p95'),
+  limit: z.number().int().min(1).max(100).default(10),
+  cursor: z.string().optional(),
+  transaction: z.string().trim().min(1).optional(),
+  spanLimit: z.number().int().min(1).max(50).default(10),
+});
+
+const SentryTraceSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  traceId: z
+    .string()
+    .trim()
+    .regex(/^[0-9a-fA-F]{32}$/, 'Trace ID must be a 32-character hex ID')
+    .transform(id => id.toLowerCase()),
+  statsPeriod: z
+    .string()
+    .regex(/^\d+[mhdw]$/, 'statsPeriod must be a number followed by m, h, d or w (e.g., "14d")')
+    .default('14d'),
+  includeSpans: z.boolean().default(false),
+  maxNodes: z.number().int().min(10).max(1000).default(200),
+});
+
+const ReplayIdSchema = z
+  .string()
+  .trim()
+  .regex(/^[0-9a-fA-F-]{32,36}$/, 'Replay ID must be a 32-character hex ID')
+  .transform(id => id.replace(/-/g, '').toLowerCase());
+
+const SentryIssueReplaysSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  statsPeriod: z
+    .string()
+    .regex(/^\d+[mhdw]$/, 'statsPeriod must be a number followed by m, h, d or w (e.g., "30d")')
+    .default('90d'),
+  limit: z.number().int().min(1).max(50).default(10),
+});
+
+const SentryReplayTimelineSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  replayId: ReplayIdSchema,
+  includeConsole: z.boolean().default(true),
+  limit: z.number().int().min(1).max(500).default(100),
+});
+
+const SentryTagDistributionSchema = z
+  .object({
+    model: ModelSchema,
+    organization: z.string().optional(),
+    key: z
+      .string()
+      .trim()
+      .regex(/^[\w.:-]+$/, 'Tag key may only contain letters, digits, ".", ":", "_" and "-"'),
+    issueId: IssueReferenceSchema.optional(),
+    project: z.union([ProjectIdSchema, z.array(ProjectIdSchema)]).optional(),
+    query: z.string().optional(),
+    environment: EnvironmentSchema.optional(),
+    statsPeriod: z.string().optional(),
+    dateFrom: DateStringSchema,
+    dateTo: DateStringSchema,
+    limit: z.number().int().min(1).max(100).default(20),
+    cursor: z.string().optional(),
+  })
+  .refine(data => !data.issueId || (!data.project && !data.query), {
+    message: 'Use either issueId, or project/query for a project-wide breakdown, not both',
+    path: ['issueId'],
+  });
+
+const SentryIssueActivitySchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  limit: z.number().int().min(1).max(200).default(50),
+  notesOnly: z.boolean().default(false),
 });
 
+const SentryAddIssueNoteSchema = z
+  .object({
+    model: ModelSchema,
+    organization: z.string().optional(),
+    issueId: IssueReferenceSchema,
+    text: z.string().trim().min(1, 'Note text is required'),
+    jiraIssueKey: JiraIssueKeySchema.optional(),
+    jiraIssueUrl: z.string().url().optional(),
+  })
+  .refine(data => !data.jiraIssueUrl || data.jiraIssueKey, {
+    message: 'jiraIssueUrl needs jiraIssueKey',
+    path: ['jiraIssueKey'],
+  });
+
 const SentryOrganizationsSchema = z.object({
   model: ModelSchema,
 });
@@ -61,6 +477,103 @@ const JiraTicketDetailsSchema = z.object({
   model: ModelSchema,
   ticketKey: z.string().min(1, 'JIRA ticket key is required'),
   deepDetails: z.boolean().default(false),
+  maxDescriptionLength: z.number().int().min(100).max(50000).optional(),
+  maxCommentLength: z.number().int().min(50).max(20000).optional(),
+});
+
+// Jira project key ("PROJ") or numeric project ID
+const JiraProjectSchema = z
+  .string()
+  .trim()
+  .regex(
+    /^([A-Z][A-Z0-9_]+|\d+)$/,
+    'Jira project must be a project key (e.g., PROJ) or numeric ID',
+  );
+
+const JiraCreateIssueFromSentrySchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  projectKey: JiraProjectSchema,
+  issueType: z.string().trim().min(1).default('Bug'),
+  summary: z.string().trim().min(1).max(255).optional(),
+  environment: EnvironmentSchema.optional(),
+  maxFrames: z.number().int().min(1).max(50).default(10),
+  inAppOnly: z.boolean().default(true),
+});
+
+const JiraCreateIssueSchema = z.object({
+  model: ModelSchema,
+  projectKey: JiraProjectSchema,
+  issueType: z.string().trim().min(1).default('Task'),
+  summary: z.string().trim().min(1, 'Summary is required').max(255),
+  description: z.string().optional(),
+  assignee: z.string().trim().min(1).optional(),
+  labels: z.array(z.string().trim().regex(/^\S+$/, 'Labels cannot contain spaces')).optional(),
+  components: z.array(z.string().trim().min(1)).optional(),
+  priority: z.string().trim().min(1).optional(),
+  parent: JiraIssueKeySchema.optional(),
+  fields: z.record(z.any()).default({}),
+});
+
+const JiraLinkSentryIssueSchema = z.object({
+  model: ModelSchema,
+  organization: z.string().optional(),
+  issueId: IssueReferenceSchema,
+  ticketKey: JiraIssueKeySchema,
+  mechanism: z.enum(['auto', 'integration', 'remote_link']).default('auto'),
+  integrationId: z.string().trim().min(1).optional(),
+});
+
+// One ORDER BY term: a field name or quoted field, optionally followed by a direction.
+// Checked per comma-separated term so the pattern stays linear on long inputs.
+const ORDER_BY_TERM = /^("[^"]+"|[\w.-]+)(\s+(ASC|DESC))?$/i;
+
+const JiraSearchIssuesSchema = z
+  .object({
+    model: ModelSchema,
+    jql: z.string().trim().min(1, 'JQL query is required'),
+    fields: z.array(z.string().trim().min(1)).min(1).optional(),
+    orderBy: z
+      .string()
+      .trim()
+      .refine(value => value.split(',').every(term => ORDER_BY_TERM.test(term.trim())), {
+        message: 'orderBy must look like "priority DESC, created ASC"',
+      })
+      .optional(),
+    maxResults: z.number().int().min(1).max(100).default(25),
+    nextPageToken: z.string().min(1).optional(),
+  })
+  .refine(data => !(data.orderBy && /\border\s+by\b/i.test(data.jql)), {
+    message: 'The JQL already has an ORDER BY clause; remove it or omit orderBy',
+    path: ['orderBy'],
+  });
+
+const JiraAddCommentSchema = z
+  .object({
+    model: ModelSchema,
+    ticketKey: JiraIssueKeySchema,
+    body: z.string().trim().min(1, 'Comment body is required'),
+    restrictToRole: z.string().trim().min(1).optional(),
+    restrictToGroup: z.string().trim().min(1).optional(),
+  })
+  .refine(data => !(data.restrictToRole && data.restrictToGroup), {
+    message: 'A comment can be restricted to a role or a group, not both',
+    path: ['restrictToGroup'],
+  });
+
+const JiraTransitionsSchema = z.object({
+  model: ModelSchema,
+  ticketKey: JiraIssueKeySchema,
+});
+
+const JiraTransitionIssueSchema = z.object({
+  model: ModelSchema,
+  ticketKey: JiraIssueKeySchema,
+  transition: z.string().trim().min(1, 'Transition name or ID is required'),
+  resolution: z.string().trim().min(1).optional(),
+  fields: z.record(z.any()).default({}),
+  comment: z.string().trim().min(1).optional(),
 });
 
 // Datetime schemas
@@ -86,9 +599,31 @@ module.exports = {
   // Schemas
   SentryIssueDetailsSchema,
   SentryIssuesSchema,
+  SentryIssueEventsSchema,
+  SentryEventDetailsSchema,
+  SentryIssueStatsSchema,
+  SentryUpdateIssueSchema,
+  SentryBulkUpdateIssuesSchema,
+  SentryReleasesSchema,
+  SentryReleaseDetailsSchema,
+  SentryQueryEventsSchema,
+  SentryTransactionsSchema,
+  SentryTraceSchema,
+  SentryIssueReplaysSchema,
+  SentryReplayTimelineSchema,
+  SentryTagDistributionSchema,
+  SentryIssueActivitySchema,
+  SentryAddIssueNoteSchema,
   SentryOrganizationsSchema,
   SentryProjectsSchema,
   JiraTicketDetailsSchema,
+  JiraCreateIssueFromSentrySchema,
+  JiraCreateIssueSchema,
+  JiraLinkSentryIssueSchema,
+  JiraSearchIssuesSchema,
+  JiraAddCommentSchema,
+  JiraTransitionsSchema,
+  JiraTransitionIssueSchema,
   DateTimeSchema,
 
   // Helper
@@ -97,6 +632,10 @@ module.exports = {
   // Individual field schemas for reuse
   ModelSchema,
   IssueIdSchema,
+  IssueReferenceSchema,
   ProjectIdSchema,
   EnvironmentSchema,
+  JiraIssueKeySchema,
+  RelativeDaysSchema,
+  SentryIssueStatusSchema,
 };
@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+
+/**
+ * Unit checks for deterministic helpers behind the MCP tools. No network access is
+ * needed; the script exits non-zero if any check fails.
+ */
+
+// Keep helper warnings out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const assert = require('assert');
+const { SentryService, JiraService } = require('../src/services/index.js');
+const SentryHandler = require('../src/handlers/sentryHandler.js');
+const {
+  SentryFormatter,
+  JiraFormatter,
+  APIError,
+  ValidationError,
+  NotFoundError,
+  schemas,
+} = require('../src/utils');
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+// Sentry helpers
+
+check('parseLinkHeader reads next/previous cursors', () => {
+  const service = new SentryService('token');
+  const header =
+    '<https://sentry.io/api/0/x/?cursor=0:0:1>; rel="previous"; results="false"; cursor="0:0:1", ' +
+    '<https://sentry.io/api/0/x/?cursor=0:100:0>; rel="next"; results="true"; cursor="0:100:0"';
+
+  assert.deepStrictEqual(service.parseLinkHeader(header), {
+    nextCursor: '0:100:0',
+    previousCursor: null,
+    hasMore: true,
+  });
+  assert.deepStrictEqual(service.parseLinkHeader(null), {
+    nextCursor: null,
+    previousCursor: null,
+    hasMore: false,
+  });
+});
+
+check('parseIssueUrl handles subdomain and /organizations/ links', () => {
+  const handler = new SentryHandler('sentry.io', 'default-org', 'token');
+
+  assert.deepStrictEqual(handler.parseIssueUrl('https://acme.sentry.io/issues/123/?project=4'), {
+    organization: 'acme',
+    issueRef: '123',
+    eventId: null,
+  });
+  assert.deepStrictEqual(
+    handler.parseIssueUrl(
+      'https://sentry.example.com/organizations/acme/issues/WEB-1A/events/abc/',
+    ),
+    { organization: 'acme', issueRef: 'WEB-1A', eventId: 'abc' },
+  );
+  assert.strictEqual(handler.parseIssueUrl('https://acme.sentry.io/projects/web/'), null);
+  assert.strictEqual(handler.parseIssueUrl('not a url'), null);
+});
+
+check('resolveIssueReference reports unknown short IDs only on a 404 status', async () => {
+  const handler = new SentryHandler('sentry.io', 'default-org', 'token');
+  const failingService = error => ({
+    resolveShortId: async () => {
+      throw error;
+    },
+  });
+
+  assert.deepStrictEqual(await handler.resolveIssueReference({}, '42', 'acme'), {
+    organization: 'acme',
+    issueId: 42,
+    eventId: null,
+  });
+  await assert.rejects(
+    handler.resolveIssueReference(
+      failingService(new APIError('Not Found', 404, 'Sentry')),
+      'WEB-1A',
+      'acme',
+    ),
+    NotFoundError,
+  );
+  // A 404 in the message of some other failure is not a missing issue
+  const timeout = new Error('Resolving short ID WEB-404: network timeout');
+  await assert.rejects(
+    handler.resolveIssueReference(failingService(timeout), 'WEB-404', 'acme'),
+    error => error === timeout,
+  );
+});
+
+check('detectSpikes flags buckets above the baseline', () => {
+  const buckets = [2, 1, 2, 1, 30, 2].map((events, i) => ({ timestamp: `t${i}`, events }));
+  const analysis = SentryFormatter.detectSpikes(buckets);
+  assert.deepStrictEqual(analysis.spikes, [4]);
+  assert.strictEqual(analysis.baseline.buckets, 3);
+
+  const flat = [5, 5, 5, 5, 5, 5].map((events, i) => ({ timestamp: `t${i}`, events }));
+  assert.deepStrictEqual(SentryFormatter.detectSpikes(flat).spikes, []);
+
+  // Too few events to count as a spike, however large the ratio
+  const quiet = [0, 0, 0, 0, 2, 0].map((events, i) => ({ timestamp: `t${i}`, events }));
+  assert.deepStrictEqual(SentryFormatter.detectSpikes(quiet).spikes, []);
+});
+
+check('formatRequest redacts credentials and cookies', () => {
+  const request = data => SentryFormatter.formatRequest({ entries: [{ type: 'request', data }] });
+
+  const formatted = request({
+    method: 'GET',
+    url: 'https://example.com/api',
+    query: [
+      ['page', '2'],
+      ['access_token', 'abc'],
+    ],
+    headers: [
+      ['Authorization', 'Bearer secret'],
+      ['Cookie', 'session=1'],
+      ['Set-Cookie', 'session=2'],
+      ['X-Api-Key', 'key'],
+      ['X-CSRF-Token', 'csrf'],
+      ['User-Agent', 'curl/8.0'],
+    ],
+  });
+  assert.deepStrictEqual(formatted.query, { page: '2', access_token: '[Redacted]' });
+  assert.deepStrictEqual(formatted.headers, {
+    Authorization: '[Redacted]',
+    Cookie: '[Redacted]',
+    'Set-Cookie': '[Redacted]',
+    'X-Api-Key': '[Redacted]',
+    'X-CSRF-Token': '[Redacted]',
+    'User-Agent': 'curl/8.0',
+  });
+  assert.strictEqual(
+    request({ query: 'page=2&api_key=abc&flag' }).query,
+    'page=2&api_key=[Redacted]&flag',
+  );
+});
+
+check('formatSuspectCommits matches files by commit SHA, not message', () => {
+  const event = {
+    entries: [
+      {
+        type: 'exception',
+        data: {
+          values: [
+            {
+              stacktrace: {
+                frames: [
+                  { filename: 'src/a.js', lineno: 1, function: 'a', inApp: true },
+                  { filename: 'src/b.js', lineno: 2, function: 'b', inApp: true },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    ],
+  };
+  const committers = {
+    committers: [
+      {
+        author: { name: 'Dev' },
+        commits: [
+          { id: 'sha1', message: 'fix' },
+          { id: 'sha2', message: 'fix' },
+        ],
+      },
+    ],
+  };
+  const frames = files =>
+    SentryFormatter.formatSuspectCommits(committers, event, files).map(c => c.matchedFrames);
+
+  assert.deepStrictEqual(
+    frames([
+      { filename: 'src/a.js', commitMessage: 'fix', commitId: 'sha1' },
+      { filename: 'src/b.js', commitMessage: 'fix', commit: { id: 'sha2' } },
+    ]),
+    [['src/a.js:1 in a'], ['src/b.js:2 in b']],
+  );
+  // Without a SHA a shared message is ambiguous, so neither commit gets the file
+  assert.deepStrictEqual(frames([{ filename: 'src/a.js', commitMessage: 'fix' }]), [[], []]);
+});
+
+check(
+  'applyBulkIssueUpdate re-throws client errors and retries server errors per issue',
+  async () => {
+    const handler = new SentryHandler('sentry.io', 'org', 'token');
+    const fakeService = bulkStatus => {
+      const calls = [];
+      return {
+        calls,
+        bulkUpdateIssues: async () => {
+          throw new APIError(`Bulk update failed: ${bulkStatus}`, bulkStatus, 'Sentry');
+        },
+        updateIssue: async (_organization, issueId) => {
+          calls.push(issueId);
+          if (issueId === '2') throw new Error('gone');
+        },
+      };
+    };
+
+    for (const status of [400, 403, 429]) {
+      const service = fakeService(status);
+      await assert.rejects(
+        handler.applyBulkIssueUpdate(service, 'org', ['1', '2'], { status: 'resolved' }),
+        error => error.statusCode === status,
+      );
+      assert.deepStrictEqual(service.calls, [], `no per-issue retries after ${status}`);
+    }
+
+    const service = fakeService(503);
+    const result = await handler.applyBulkIssueUpdate(service, 'org', ['1', '2'], {});
+    assert.deepStrictEqual(result, { changed: ['1'], failed: [{ id: '2', error: 'gone' }] });
+  },
+);
+
+// Markdown <-> ADF
+
+check('markdownToADF output renders back to the same Markdown', () => {
+  const markdown = [
+    '## Steps',
+    '',
+    'Open **settings** and click [Save](https://example.com), then run `npm test`.',
+    '',
+    '- first',
+    '  - nested',
+    '- second',
+    '',
+    '1. one',
+    '2. two',
+    '',
+    '```js',
+    'const a = 1;',
+    '```',
+    '',
+    '> quoted',
+    '',
+    '---',
+  ].join('\n');
+
+  assert.strictEqual(JiraFormatter.adfToMarkdown(JiraFormatter.markdownToADF(markdown)), markdown);
+});
+
+check('markdownToADF keeps balanced parentheses in link URLs', () => {
+  const href = 'https://en.wikipedia.org/wiki/Mercury_(planet)';
+  const markdown = `See [Mercury](${href}) (the planet).`;
+  const [paragraph] = JiraFormatter.markdownToADF(markdown).content;
+
+  assert.deepStrictEqual(paragraph.content, [
+    { type: 'text', text: 'See ' },
+    { type: 'text', text: 'Mercury', marks: [{ type: 'link', attrs: { href } }] },
+    { type: 'text', text: ' (the planet).' },
+  ]);
+  assert.strictEqual(JiraFormatter.adfToMarkdown(JiraFormatter.markdownToADF(markdown)), markdown);
+});
+
+check('adfToMarkdown renders rich nodes', () => {
+  const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+  const paragraph = (...content) => ({ type: 'paragraph', content });
+  const doc = JiraFormatter.adfDoc([
+    paragraph(
+      { type: 'mention', attrs: { id: 'abc', text: '@Jane' } },
+      text(' '),
+      { type: 'emoji', attrs: { shortName: ':tada:', text: '🎉' } },
+      text(' '),
+      { type: 'status', attrs: { text: 'done' } },
+      text(' '),
+      text('old', [{ type: 'strike' }]),
+    ),
+    { type: 'panel', attrs: { panelType: 'warning' }, content: [paragraph(text('careful'))] },
+    {
+      type: 'taskList',
+      content: [
+        { type: 'taskItem', attrs: { state: 'DONE' }, content: [text('shipped')] },
+        { type: 'taskItem', attrs: { state: 'TODO' }, content: [text('document')] },
+      ],
+    },
+    {
+      type: 'table',
+      content: [
+        {
+          type: 'tableRow',
+          content: [
+            { type: 'tableHeader', content: [paragraph(text('Name'))] },
+            { type: 'tableHeader', content: [paragraph(text('A|B'))] },
+          ],
+        },
+        {
+          type: 'tableRow',
+          content: [
+            { type: 'tableCell', content: [paragraph(text('x'))] },
+            { type: 'tableCell', content: [paragraph(text('y'))] },
+          ],
+        },
+      ],
+    },
+    { type: 'mediaSingle', content: [{ type: 'media', attrs: { id: 'm1', alt: 'shot.png' } }] },
+  ]);
+
+  assert.strictEqual(
+    JiraFormatter.adfToMarkdown(doc),
+    [
+      '@Jane 🎉 [DONE] ~~old~~',
+      '',
+      '> **Warning:** careful',
+      '',
+      '- [x] shipped',
+      '- [ ] document',
+      '',
+      '| Name | A\\|B |',
+      '|---|---|',
+      '| x | y |',
+      '',
+      '[attachment: shot.png]',
+    ].join('\n'),
+  );
+});
+
+check('adfToMarkdown truncates at block boundaries within the budget', () => {
+  const doc = JiraFormatter.markdownToADF('First paragraph.\n\nSecond paragraph.\n\nThird one.');
+
+  assert.strictEqual(
+    JiraFormatter.adfToMarkdown(doc, { maxLength: 40 }),
+    'First paragraph.\n\nSecond paragraph.\n\n_[1 more block (10 characters) omitted]_',
+  );
+  assert.strictEqual(
+    JiraFormatter.adfToMarkdown(doc, { maxLength: 1000 }).includes('omitted'),
+    false,
+  );
+
+  // A single block larger than the budget is cut at a line break and its fence closed
+  const code = JiraFormatter.markdownToADF('```\nline one\nline two\nline three\n```');
+  assert.strictEqual(
+    JiraFormatter.adfToMarkdown(code, { maxLength: 20 }),
+    '```\nline one\nline\n```\n\n_[19 more characters omitted]_',
+  );
+
+  assert.strictEqual(JiraFormatter.adfToMarkdown('plain text'), 'plain text');
+  assert.strictEqual(JiraFormatter.adfToMarkdown(null), '');
+});
+
+// JIRA value resolution
+
+const jiraService = new JiraService('example.atlassian.net', 'token', 'me@example.com');
+const priorityField = {
+  key: 'priority',
+  name: 'Priority',
+  schema: { type: 'priority' },
+  allowedValues: [
+    { id: '1', name: 'Critical' },
+    { id: '2', name: 'Low' },
+    { id: '3', name: 'Lowest' },
+  ],
+};
+
+check('resolveAllowedValue accepts only exact IDs and names', () => {
+  assert.deepStrictEqual(jiraService.resolveAllowedValue(priorityField, 'low'), { id: '2' });
+  assert.deepStrictEqual(jiraService.resolveAllowedValue(priorityField, '3'), { id: '3' });
+  assert.deepStrictEqual(jiraService.resolveAllowedValue(priorityField, { id: '9' }), { id: '9' });
+
+  assert.throws(
+    () => jiraService.resolveAllowedValue(priorityField, 'crit'),
+    error => error instanceof ValidationError && error.message.includes('Critical (ID 1)'),
+  );
+  assert.throws(
+    () => jiraService.resolveAllowedValue(priorityField, 'urgent'),
+    error => error instanceof ValidationError && error.message.includes('not an allowed value'),
+  );
+
+  const duplicated = {
+    ...priorityField,
+    allowedValues: [
+      { id: '1', name: 'High' },
+      { id: '2', name: 'high' },
+    ],
+  };
+  assert.throws(
+    () => jiraService.resolveAllowedValue(duplicated, 'High'),
+    error => error instanceof ValidationError && error.message.includes('ambiguous'),
+  );
+});
+
+check('buildFieldChange uses +/- operations only where editmeta allows them', async () => {
+  const labels = operations => ({
+    key: 'labels',
+    name: 'Labels',
+    schema: { type: 'array', items: 'string' },
+    operations,
+  });
+
+  assert.deepStrictEqual(
+    await jiraService.buildFieldChange(labels(['add', 'set', 'remove']), ['+new', '-old', 'plain']),
+    { operations: [{ add: 'new' }, { remove: 'old' }, { add: 'plain' }] },
+  );
+  // Without add/remove support the prefixes are part of the value
+  assert.deepStrictEqual(await jiraService.buildFieldChange(labels(['set']), ['-1', '+1']), {
+    value: ['-1', '+1'],
+  });
+  // A backslash keeps a leading +/- literal
+  assert.deepStrictEqual(
+    await jiraService.buildFieldChange(labels(['add', 'set', 'remove']), ['\\-1', '\\+1']),
+    { value: ['-1', '+1'] },
+  );
+  assert.deepStrictEqual(await jiraService.buildFieldChange(priorityField, 'Critical'), {
+    value: { id: '1' },
+  });
+});
+
+check('resolveUser applies only exact email or display name matches', async () => {
+  const service = new JiraService('example.atlassian.net', 'token', 'me@example.com');
+  const jane = { accountId: 'a1', displayName: 'Jane Doe', emailAddress: 'jane@example.com' };
+  service.searchUsers = async () => [jane];
+
+  assert.deepStrictEqual(await service.resolveUser('JANE@example.com', 'Assignee'), {
+    accountId: 'a1',
+  });
+  assert.deepStrictEqual(await service.resolveUser('jane doe', 'Assignee'), { accountId: 'a1' });
+
+  // A single fuzzy search hit is suggested, not applied
+  await assert.rejects(
+    service.resolveUser('jan', 'Assignee'),
+    error => error instanceof ValidationError && error.message.includes('Jane Doe (a1)'),
+  );
+
+  const accountId = '5b10ac8d82e05b22cc7d4ef5';
+  assert.deepStrictEqual(await service.resolveUser(accountId, 'Assignee'), { accountId });
+});
+
+// Schemas
+
+check('search_jira_issues orderBy validates terms in linear time', () => {
+  const orderBy = value =>
+    schemas.JiraSearchIssuesSchema.safeParse({ model: 'm', jql: 'project = WEB', orderBy: value });
+
+  assert.strictEqual(orderBy('priority DESC, created asc').success, true);
+  assert.strictEqual(orderBy('"Story Points" DESC,cf.x').success, true);
+  assert.strictEqual(orderBy('priority DESC;').success, false);
+  assert.strictEqual(orderBy('priority,,created').success, false);
+
+  // Many whitespace-padded terms with a bad tail used to backtrack for seconds
+  const started = Date.now();
+  assert.strictEqual(orderBy('a    ,'.repeat(5000) + '!').success, false);
+  assert.ok(Date.now() - started < 200, 'orderBy validation took too long');
+});
+
+check('get_sentry_issue_stats rejects dateTo without dateFrom', () => {
+  const stats = args =>
+    schemas.SentryIssueStatsSchema.safeParse({ model: 'm', issueId: 1, ...args });
+
+  assert.strictEqual(stats({ dateFrom: '2026-01-01T00:00:00' }).success, true);
+  assert.strictEqual(
+    stats({ dateFrom: '2026-01-01T00:00:00', dateTo: '2026-01-08T00:00:00' }).success,
+    true,
+  );
+  assert.strictEqual(stats({ dateTo: '2026-01-08T00:00:00' }).success, false);
+});
+
+check('bulk_update_sentry_issues only applies changes to previewed issueIds', () => {
+  const bulk = args =>
+    schemas.SentryBulkUpdateIssuesSchema.safeParse({ model: 'm', status: 'resolved', ...args });
+
+  assert.strictEqual(bulk({ query: 'is:unresolved' }).success, true);
+  assert.strictEqual(bulk({ confirm: true, issueIds: ['1', 2] }).success, true);
+  assert.strictEqual(bulk({ query: 'is:unresolved', confirm: true }).success, false);
+  assert.strictEqual(bulk({ issueIds: ['1'] }).success, false);
+});
+
+async function run() {
+  console.log('🧪 Running unit checks...\n');
+
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ❌ ${name}\n     ${error.message.split('\n').join('\n     ')}`);
+    }
+  }
+
+  console.log(`\n${checks.length - failed} passed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+run();